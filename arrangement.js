@@ -0,0 +1,434 @@
+// --- Arrangement Timeline ---
+// Places segments of each track's buffer (taken from its start/end markers) as clips at song positions,
+// and plays the whole arrangement on the master transport when arrangement mode is on.
+
+const TIMELINE_RULER_HEIGHT = 20;
+const TIMELINE_LANE_HEIGHT = 40;
+const TIMELINE_EDGE_TOLERANCE = 6; // px around a clip's right edge that drags its repeat count
+const TIMELINE_MIN_SECONDS = 30;
+const ARRANGEMENT_RESCHEDULE_DELAY = 100; // ms, coalesces bursts of edits during playback
+const CLIP_COLORS = ['#61dafb', '#f7b32b', '#8bd450', '#e96d8b', '#b48ef0', '#4fd1c5'];
+
+// --- DOM Element References ---
+const arrangementModeToggle = document.getElementById('arrangement-mode');
+const arrangementCanvas = document.getElementById('arrangement-timeline');
+const arrangementCtx = arrangementCanvas.getContext('2d');
+const addSectionButton = document.getElementById('add-section');
+const removeClipButton = document.getElementById('remove-clip');
+const arrangementLengthInput = document.getElementById('arrangement-length');
+
+const arrangement = {
+    sections: [], // { name, songTime } song structure labels (intro, verse, drop...)
+    isPlaying: false,
+    songPosition: 0, // Song time of the playhead while stopped
+    startContextTime: 0, // AudioContext time at which songPosition began playing
+    activeSources: [], // Scheduled AudioBufferSourceNodes of the running arrangement
+    selectedClip: null, // { trackId, clipId }
+    drag: null, // { type: 'move' | 'repeat', trackId, clipId, grabOffset, historyBefore }
+    animationFrame: null,
+    rescheduleTimer: null
+};
+let nextClipId = 1;
+
+// --- Event Listeners ---
+arrangementCanvas.addEventListener('mousedown', handleTimelineMouseDown);
+arrangementCanvas.addEventListener('mousemove', handleTimelineMouseMove);
+arrangementCanvas.addEventListener('keydown', (event) => {
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+        removeSelectedClip();
+        event.preventDefault();
+    }
+});
+window.addEventListener('mouseup', handleTimelineMouseUp);
+addSectionButton.addEventListener('click', addSectionAtPlayhead);
+removeClipButton.addEventListener('click', removeSelectedClip);
+arrangementLengthInput.addEventListener('change', drawArrangement);
+arrangementModeToggle.addEventListener('change', () => {
+    if (!arrangementModeToggle.checked && arrangement.isPlaying) {
+        stopArrangementPlayback(audioContext.currentTime);
+    }
+    checkMasterPlayEnable();
+});
+window.addEventListener('load', drawArrangement);
+
+// --- Clip Model ---
+// A clip plays buffer time offset..offset+duration, `repeats` times back to back from songStart (song seconds)
+function addClipFromMarkers(trackId) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded || track.endTime <= track.startTime) return;
+    const historyBefore = captureHistorySnapshot('arrangement');
+    const songStart = Math.max(0, ...track.clips.map(c => getClipSongEnd(track, c)));
+    const clip = {
+        id: nextClipId++,
+        songStart,
+        offset: track.startTime,
+        duration: track.endTime - track.startTime,
+        repeats: 1
+    };
+    track.clips.push(clip);
+    arrangement.selectedClip = { trackId, clipId: clip.id };
+    console.log(`Track ${trackId}: added clip ${clip.offset.toFixed(2)}-${track.endTime.toFixed(2)}s at song time ${songStart.toFixed(2)}s`);
+    onArrangementEdited();
+    recordSnapshotEdit('arrangement', null, `Track ${trackId}: Add clip`, historyBefore);
+}
+
+function removeSelectedClip() {
+    const selected = arrangement.selectedClip;
+    const track = tracks[selected?.trackId];
+    if (!track) return;
+    const historyBefore = captureHistorySnapshot('arrangement');
+    track.clips = track.clips.filter(c => c.id !== selected.clipId);
+    arrangement.selectedClip = null;
+    onArrangementEdited();
+    recordSnapshotEdit('arrangement', null, `Track ${track.id}: Remove clip`, historyBefore);
+}
+
+// Song seconds covered by one repetition; the clip plays at the track's tempo
+function getClipUnitLength(track, clip) {
+    return clip.duration / track.tempo;
+}
+
+function getClipSongEnd(track, clip) {
+    return clip.songStart + getClipUnitLength(track, clip) * clip.repeats;
+}
+
+function getArrangementEnd() {
+    let end = 0;
+    Object.values(tracks).forEach(track => {
+        if (!track?.isLoaded) return;
+        track.clips.forEach(clip => { end = Math.max(end, getClipSongEnd(track, clip)); });
+    });
+    return end;
+}
+
+function hasArrangementClips() {
+    return Object.values(tracks).some(t => t?.isLoaded && t.clips.length > 0);
+}
+
+function findClip(trackId, clipId) {
+    return tracks[trackId]?.clips.find(c => c.id === clipId) || null;
+}
+
+// Snaps to the master BPM's beat grid; hold Alt for free placement
+function snapSongTime(songTime, event) {
+    const bpm = parseFloat(masterBpmInput.value);
+    if (event?.altKey || !(bpm > 0)) return Math.max(0, songTime);
+    const beatSeconds = 60 / bpm;
+    return Math.max(0, Math.round(songTime / beatSeconds) * beatSeconds);
+}
+
+// --- Sections ---
+function addSectionAtPlayhead() {
+    const name = prompt("Section name (e.g. Intro, Verse, Drop):");
+    if (!name) return;
+    const historyBefore = captureHistorySnapshot('arrangement');
+    arrangement.sections.push({ name, songTime: getArrangementPosition() });
+    arrangement.sections.sort((a, b) => a.songTime - b.songTime);
+    drawArrangement();
+    recordSnapshotEdit('arrangement', null, `Add section "${name}"`, historyBefore);
+}
+
+// --- Playback ---
+function getArrangementPosition(atTime = audioContext?.currentTime) {
+    if (!arrangement.isPlaying || !audioContext) return arrangement.songPosition;
+    return arrangement.songPosition + Math.max(0, atTime - arrangement.startContextTime);
+}
+
+// Schedules every clip repetition that overlaps songOffset..songEnd, with songOffset landing at `when`.
+// Shared by live playback and the offline export.
+function scheduleTrackClips(context, track, destination, when, songOffset, sourceList, songEnd = Infinity) {
+    track.clips.forEach(clip => {
+        const unitLength = getClipUnitLength(track, clip);
+        for (let k = 0; k < clip.repeats; k++) {
+            const repetitionStart = clip.songStart + k * unitLength;
+            if (repetitionStart + unitLength <= songOffset || repetitionStart >= songEnd) continue;
+            const skippedSongTime = Math.max(0, songOffset - repetitionStart);
+
+            const source = context.createBufferSource();
+            source.buffer = track.buffer;
+            source.playbackRate.value = track.tempo; // Same tempo handling as linear playback
+            source.connect(destination);
+            source.start(when + Math.max(0, repetitionStart - songOffset),
+                clip.offset + skippedSongTime * track.tempo,
+                clip.duration - skippedSongTime * track.tempo); // Offset and duration are in buffer time
+            sourceList.push(source);
+        }
+    });
+}
+
+function startArrangementPlayback(when) {
+    if (arrangement.songPosition >= getArrangementEnd()) arrangement.songPosition = 0;
+    Object.values(tracks).forEach(track => {
+        if (!track?.isLoaded || track.clips.length === 0) return;
+        if (!ensureTrackNodes(track.id)) return;
+        scheduleTrackClips(audioContext, track, track.inputNode, when, arrangement.songPosition, arrangement.activeSources);
+    });
+    arrangement.startContextTime = when;
+    arrangement.isPlaying = true;
+    console.log(`Arrangement: playing from song time ${arrangement.songPosition.toFixed(2)}s (${arrangement.activeSources.length} clip sources)`);
+    startArrangementAnimation();
+}
+
+function stopArrangementPlayback(when) {
+    const position = getArrangementPosition(when);
+    arrangement.activeSources.forEach(source => {
+        try {
+            source.onended = () => source.disconnect();
+            source.stop(when);
+        } catch (e) { console.warn("Error stopping clip source:", e.message); }
+    });
+    arrangement.activeSources = [];
+    arrangement.songPosition = position;
+    arrangement.isPlaying = false;
+    drawArrangement();
+}
+
+// Master transport entry point while arrangement mode is on
+function toggleArrangementPlayback() {
+    const when = audioContext.currentTime + TRANSPORT_LOOKAHEAD;
+    if (arrangement.isPlaying) {
+        stopArrangementPlayback(when);
+    } else if (hasArrangementClips()) {
+        // Linear playback and the arrangement share the track nodes, so stop linear tracks at the same instant
+        Object.values(tracks).forEach(track => {
+            if (track?.isPlaying) track.stop(when);
+        });
+        engine.setTransportOrigin(when); // Quantized track starts follow the arrangement's grid
+        startArrangementPlayback(when);
+    } else {
+        alert("The arrangement is empty. Use \"Add Clip\" on a track to place its start/end region on the timeline.");
+    }
+    checkMasterPlayEnable();
+}
+
+// Restarts the running arrangement so edits (clip moves, tempo changes) take effect
+function scheduleArrangementReschedule() {
+    if (!arrangement.isPlaying) return;
+    clearTimeout(arrangement.rescheduleTimer);
+    arrangement.rescheduleTimer = setTimeout(() => {
+        if (!arrangement.isPlaying) return;
+        const when = audioContext.currentTime + TRANSPORT_LOOKAHEAD;
+        stopArrangementPlayback(when);
+        startArrangementPlayback(when);
+    }, ARRANGEMENT_RESCHEDULE_DELAY);
+}
+
+function onArrangementEdited() {
+    drawArrangement();
+    scheduleArrangementReschedule();
+}
+
+function startArrangementAnimation() {
+    if (arrangement.animationFrame !== null) return;
+    const tick = () => {
+        arrangement.animationFrame = null;
+        if (!arrangement.isPlaying) return;
+        if (getArrangementPosition() >= getArrangementEnd()) {
+            console.log("Arrangement: reached the end.");
+            stopArrangementPlayback(audioContext.currentTime);
+            arrangement.songPosition = 0;
+            drawArrangement();
+            checkMasterPlayEnable();
+            return;
+        }
+        drawArrangement();
+        arrangement.animationFrame = requestAnimationFrame(tick);
+    };
+    arrangement.animationFrame = requestAnimationFrame(tick);
+}
+
+// --- Timeline Geometry ---
+function getTimelineDuration() {
+    const requested = parseFloat(arrangementLengthInput.value) || 0;
+    return Math.max(TIMELINE_MIN_SECONDS, requested, getArrangementEnd() * 1.1);
+}
+
+function getTimelineLanes() {
+    return Object.values(tracks).filter(t => t?.isLoaded);
+}
+
+function songTimeToX(songTime) {
+    return (songTime / getTimelineDuration()) * arrangementCanvas.width;
+}
+
+function xToSongTime(x) {
+    return (Math.max(0, x) / arrangementCanvas.width) * getTimelineDuration();
+}
+
+// Returns { track, clip, nearRightEdge } for the clip under the point, or null
+function getClipAtPoint(x, y) {
+    const laneIndex = Math.floor((y - TIMELINE_RULER_HEIGHT) / TIMELINE_LANE_HEIGHT);
+    const track = getTimelineLanes()[laneIndex];
+    if (y < TIMELINE_RULER_HEIGHT || !track) return null;
+    for (const clip of track.clips) {
+        const startX = songTimeToX(clip.songStart);
+        const endX = songTimeToX(getClipSongEnd(track, clip));
+        if (x >= startX && x <= endX + TIMELINE_EDGE_TOLERANCE / 2) {
+            return { track, clip, nearRightEdge: Math.abs(x - endX) <= TIMELINE_EDGE_TOLERANCE };
+        }
+    }
+    return null;
+}
+
+// --- Timeline Interaction ---
+function handleTimelineMouseDown(event) {
+    const pos = getMousePos(arrangementCanvas, event);
+    if (pos.y < TIMELINE_RULER_HEIGHT) {
+        // Shift-click on a section label removes it
+        const section = arrangement.sections.find(s => Math.abs(songTimeToX(s.songTime) - pos.x) <= TIMELINE_EDGE_TOLERANCE);
+        if (event.shiftKey && section) {
+            const historyBefore = captureHistorySnapshot('arrangement');
+            arrangement.sections = arrangement.sections.filter(s => s !== section);
+            drawArrangement();
+            recordSnapshotEdit('arrangement', null, `Remove section "${section.name}"`, historyBefore);
+            return;
+        }
+        // Clicking the ruler moves the song playhead
+        const songTime = snapSongTime(xToSongTime(pos.x), event);
+        if (arrangement.isPlaying) {
+            const when = audioContext.currentTime + TRANSPORT_LOOKAHEAD;
+            stopArrangementPlayback(when);
+            arrangement.songPosition = songTime;
+            startArrangementPlayback(when);
+        } else {
+            arrangement.songPosition = songTime;
+        }
+        drawArrangement();
+        return;
+    }
+
+    const hit = getClipAtPoint(pos.x, pos.y);
+    arrangement.selectedClip = hit ? { trackId: hit.track.id, clipId: hit.clip.id } : null;
+    if (hit) {
+        arrangement.drag = {
+            type: hit.nearRightEdge ? 'repeat' : 'move',
+            trackId: hit.track.id,
+            clipId: hit.clip.id,
+            grabOffset: xToSongTime(pos.x) - hit.clip.songStart,
+            historyBefore: captureHistorySnapshot('arrangement')
+        };
+        event.preventDefault();
+    }
+    drawArrangement();
+}
+
+function handleTimelineMouseMove(event) {
+    const pos = getMousePos(arrangementCanvas, event);
+    const drag = arrangement.drag;
+    if (!drag) {
+        const hit = getClipAtPoint(pos.x, pos.y);
+        arrangementCanvas.style.cursor = hit ? (hit.nearRightEdge ? 'ew-resize' : 'grab') : 'default';
+        return;
+    }
+    const track = tracks[drag.trackId];
+    const clip = findClip(drag.trackId, drag.clipId);
+    if (!track || !clip) return;
+
+    const songTime = xToSongTime(pos.x);
+    if (drag.type === 'move') {
+        clip.songStart = snapSongTime(songTime - drag.grabOffset, event);
+    } else {
+        const unitLength = getClipUnitLength(track, clip);
+        clip.repeats = Math.max(1, Math.round((songTime - clip.songStart) / unitLength));
+    }
+    drawArrangement();
+}
+
+function handleTimelineMouseUp() {
+    if (!arrangement.drag) return;
+    const drag = arrangement.drag;
+    arrangement.drag = null;
+    arrangementCanvas.style.cursor = 'default';
+    onArrangementEdited();
+    recordSnapshotEdit('arrangement', null, `Track ${drag.trackId}: ${drag.type === 'move' ? 'Move' : 'Repeat'} clip`, drag.historyBefore);
+}
+
+// --- Timeline Drawing ---
+function drawArrangement() {
+    const lanes = getTimelineLanes();
+    const height = TIMELINE_RULER_HEIGHT + Math.max(1, lanes.length) * TIMELINE_LANE_HEIGHT;
+    if (arrangementCanvas.height !== height) arrangementCanvas.height = height;
+    const ctx = arrangementCtx;
+    const width = arrangementCanvas.width;
+
+    ctx.fillStyle = '#282c34';
+    ctx.fillRect(0, 0, width, height);
+    ctx.fillStyle = '#1e2127';
+    ctx.fillRect(0, 0, width, TIMELINE_RULER_HEIGHT);
+
+    // Bar lines from the master BPM
+    const bpm = parseFloat(masterBpmInput.value);
+    if (bpm > 0) {
+        const barSeconds = (60 / bpm) * BEATS_PER_BAR;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let t = 0; t < getTimelineDuration(); t += barSeconds) {
+            const x = Math.round(songTimeToX(t)) + 0.5;
+            ctx.moveTo(x, TIMELINE_RULER_HEIGHT);
+            ctx.lineTo(x, height);
+        }
+        ctx.stroke();
+    }
+
+    // Lanes and clips
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'left';
+    lanes.forEach((track, laneIndex) => {
+        const laneTop = TIMELINE_RULER_HEIGHT + laneIndex * TIMELINE_LANE_HEIGHT;
+        const color = CLIP_COLORS[(track.id - 1) % CLIP_COLORS.length];
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.beginPath();
+        ctx.moveTo(0, laneTop + 0.5);
+        ctx.lineTo(width, laneTop + 0.5);
+        ctx.stroke();
+
+        track.clips.forEach(clip => {
+            const unitWidth = songTimeToX(getClipUnitLength(track, clip));
+            const x = songTimeToX(clip.songStart);
+            const clipWidth = unitWidth * clip.repeats;
+            const isSelected = arrangement.selectedClip?.clipId === clip.id;
+            ctx.globalAlpha = 0.6;
+            ctx.fillStyle = color;
+            ctx.fillRect(x, laneTop + 3, clipWidth, TIMELINE_LANE_HEIGHT - 6);
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = isSelected ? '#ffffff' : color;
+            ctx.lineWidth = isSelected ? 2 : 1;
+            ctx.strokeRect(x, laneTop + 3, clipWidth, TIMELINE_LANE_HEIGHT - 6);
+            ctx.lineWidth = 1;
+            // Repetition boundaries
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.beginPath();
+            for (let k = 1; k < clip.repeats; k++) {
+                ctx.moveTo(x + k * unitWidth, laneTop + 3);
+                ctx.lineTo(x + k * unitWidth, laneTop + TIMELINE_LANE_HEIGHT - 3);
+            }
+            ctx.stroke();
+            ctx.fillStyle = '#000000';
+            const label = clip.repeats > 1 ? `T${track.id} x${clip.repeats}` : `T${track.id}`;
+            ctx.fillText(label, x + 4, laneTop + 16);
+        });
+    });
+    if (lanes.length === 0) {
+        ctx.fillStyle = '#aaaaaa';
+        ctx.textAlign = 'center';
+        ctx.fillText('Load tracks and use "Add Clip" to arrange them', width / 2, TIMELINE_RULER_HEIGHT + TIMELINE_LANE_HEIGHT / 2);
+        ctx.textAlign = 'left';
+    }
+
+    // Section labels in the ruler
+    arrangement.sections.forEach(section => {
+        const x = songTimeToX(section.songTime);
+        ctx.fillStyle = '#f7b32b';
+        ctx.fillRect(x, 0, 2, TIMELINE_RULER_HEIGHT);
+        ctx.fillText(section.name, x + 4, 14);
+    });
+
+    // Song playhead
+    const playheadX = Math.round(songTimeToX(getArrangementPosition())) + 0.5;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.beginPath();
+    ctx.moveTo(playheadX, 0);
+    ctx.lineTo(playheadX, height);
+    ctx.stroke();
+}
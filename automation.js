@@ -0,0 +1,323 @@
+// --- Automation Lanes ---
+// Breakpoint envelopes per track for volume, pitch, tempo and the first Filter effect's cutoff, keyed by
+// buffer time so they line up with the waveform. "Read" plays them back, "Write" also records slider moves
+// made during playback over what was there (a lane is written only while its control is being moved).
+// Playback looks ahead of the transport: each tick ramps the AudioParams to the value at the position the
+// track will have reached by then. Tempo is applied in steps instead, since the playhead position model
+// assumes a constant rate between anchors. Lanes follow linear track playback, not the arrangement.
+
+const AUTOMATION_TICK_MS = 25;
+const AUTOMATION_LOOKAHEAD = 0.1; // Seconds ahead of now that ramps are scheduled to
+const AUTOMATION_TOUCH_RELEASE_MS = 500; // A written control with no moves for this long goes back to reading
+const AUTOMATION_EXPORT_STEP = 0.01; // Seconds between scheduled values in an offline render
+const AUTOMATION_POINT_RADIUS = 3;
+const AUTOMATION_HIT_TOLERANCE = 6; // px around a point that grabs it
+
+// Lane name -> how its values (in control units) reach the audio. getTarget returns the live AudioParam;
+// tempo has none and goes through track.setTempo(). getStaticValue is the value when not automated.
+const AUTOMATION_PARAMS = {
+    volume: {
+        label: 'Volume', min: 0, max: 1,
+        format: (v) => `${Math.round(v * 100)}%`,
+        getTarget: (track) => track.gainNode?.gain,
+        getStaticValue: (track) => parseFloat(track.volumeSlider.value)
+    },
+    pitch: {
+        label: 'Pitch', min: -12, max: 12,
+        format: (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)} st`,
+        getTarget: (track) => track.soundtouchNode?.parameters.get('pitchSemitones'),
+        getStaticValue: (track) => track.pitchSemitones
+    },
+    tempo: {
+        label: 'Tempo', min: 0.5, max: 2,
+        format: (v) => `${v.toFixed(2)}x`,
+        getTarget: () => null,
+        getStaticValue: (track) => track.tempo
+    },
+    // Stored as the Filter effect's 0..1 sweep, so the lane is logarithmic in frequency like its slider
+    filter: {
+        label: 'Filter cutoff', min: 0, max: 1,
+        format: (v) => `${Math.round(getFilterFrequency(v))} Hz`,
+        toParamValue: getFilterFrequency,
+        getTarget: (track) => getAutomatedFilter(track)?.nodes?.filter.frequency,
+        getStaticValue: (track) => getAutomatedFilter(track)?.params.sweep ?? null
+    }
+};
+
+let automationDrag = null; // { trackId, point, before } while a lane point is dragged
+
+function createEmptyAutomation() {
+    return Object.fromEntries(Object.keys(AUTOMATION_PARAMS).map(name => [name, []]));
+}
+
+function cloneAutomation(automation) {
+    return Object.fromEntries(Object.keys(AUTOMATION_PARAMS)
+        .map(name => [name, (automation?.[name] || []).map(p => ({ time: p.time, value: p.value }))]));
+}
+
+function getAutomatedFilter(track) {
+    return track.effects.find(e => e.type === 'filter' && !e.bypassed);
+}
+
+function hasAutomation(track, name) {
+    return track.automationMode !== 'off' && track.automation[name].length > 0;
+}
+
+// Linear between points, flat before the first and after the last. points must be sorted by time.
+function getAutomationValue(points, time) {
+    if (points.length === 0) return null;
+    if (time <= points[0].time) return points[0].value;
+    const last = points[points.length - 1];
+    if (time >= last.time) return last.value;
+    const next = points.findIndex(p => p.time > time);
+    const a = points[next - 1];
+    const b = points[next];
+    return b.time === a.time ? b.value : a.value + (b.value - a.value) * (time - a.time) / (b.time - a.time);
+}
+
+// --- Live Playback ---
+function scheduleAutomation() {
+    if (!audioContext) return;
+    const now = audioContext.currentTime;
+    const rampTime = now + AUTOMATION_LOOKAHEAD;
+    Object.values(tracks).forEach(track => {
+        if (!track) return;
+        releaseIdleTouches(track);
+        if (!track.isPlaying || track.automationMode === 'off') {
+            releaseAutomation(track);
+            return;
+        }
+        Object.keys(AUTOMATION_PARAMS).forEach(name => {
+            const points = track.automation[name];
+            if (points.length === 0 || track.automationTouch[name]) return;
+            if (name === 'tempo') {
+                const tempo = getAutomationValue(points, track.getPosition());
+                if (Math.abs(tempo - track.tempo) > 1e-4) track.setTempo(tempo);
+                return;
+            }
+            rampAutomatedParam(track, name, getAutomationValue(points, track.getPosition(rampTime)), rampTime);
+        });
+    });
+}
+
+function rampAutomatedParam(track, name, value, time) {
+    const definition = AUTOMATION_PARAMS[name];
+    const param = definition.getTarget(track);
+    if (!param) return;
+    const target = definition.toParamValue ? definition.toParamValue(value) : value;
+    const scheduled = track.automationScheduled[name];
+    // A new node, or a gap (track restarted, tab in the background), starts a fresh ramp chain
+    if (scheduled?.param !== param || scheduled.until < audioContext.currentTime) {
+        param.cancelScheduledValues(audioContext.currentTime);
+        param.setValueAtTime(target, time);
+    } else {
+        param.linearRampToValueAtTime(target, time);
+    }
+    track.automationScheduled[name] = { param, until: time };
+}
+
+// Hands the param back to its control
+function releaseAutomationParam(track, name) {
+    const scheduled = track.automationScheduled[name];
+    if (!scheduled || !audioContext) return;
+    delete track.automationScheduled[name];
+    const definition = AUTOMATION_PARAMS[name];
+    const value = definition.getStaticValue(track);
+    scheduled.param.cancelScheduledValues(audioContext.currentTime);
+    if (value !== null) {
+        scheduled.param.setValueAtTime(definition.toParamValue ? definition.toParamValue(value) : value, audioContext.currentTime);
+    }
+}
+
+function releaseAutomation(track) {
+    Object.keys(track.automationScheduled).forEach(name => releaseAutomationParam(track, name));
+}
+
+// --- Writing ---
+// Called from the controls' input handlers; records only while playing in Write mode, and only the user's
+// own moves: undo/redo replays control values through the same input events
+function writeAutomation(trackId, name, value) {
+    const track = tracks[trackId];
+    if (!track?.isPlaying || track.automationMode !== 'write' || editHistory.isApplying) return;
+    const time = track.getPosition();
+    let touch = track.automationTouch[name];
+    if (!touch) {
+        touch = track.automationTouch[name] = { time: null, before: captureHistorySnapshot('automation', trackId) };
+        releaseAutomationParam(track, name); // The control drives the sound while it is being moved
+    }
+    let points = track.automation[name];
+    // Replace whatever was there over the stretch played since the previous move (a loop wrap starts a new stretch)
+    if (touch.time !== null && time >= touch.time) points = points.filter(p => p.time <= touch.time || p.time > time);
+    points.push({ time, value });
+    track.automation[name] = points.sort((a, b) => a.time - b.time);
+    touch.time = time;
+    touch.lastWrite = performance.now();
+}
+
+function releaseIdleTouches(track) {
+    Object.entries(track.automationTouch).forEach(([name, touch]) => {
+        if (track.isPlaying && performance.now() - touch.lastWrite < AUTOMATION_TOUCH_RELEASE_MS) return;
+        delete track.automationTouch[name];
+        recordSnapshotEdit('automation', track.id, `Track ${track.id}: Write ${AUTOMATION_PARAMS[name].label.toLowerCase()}`, touch.before);
+        drawWaveform(track.id);
+    });
+}
+
+// --- Editing ---
+function setAutomationMode(trackId, mode) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.automationMode = ['read', 'write'].includes(mode) ? mode : 'off';
+    track.automationModeSelect.value = track.automationMode;
+    if (track.automationMode === 'off') releaseAutomation(track);
+    drawWaveform(trackId);
+}
+
+function clearAutomationLane(trackId, name) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.automation[name] = [];
+    releaseAutomationParam(track, name);
+    drawWaveform(trackId);
+}
+
+function getAutomationY(track, value) {
+    const { min, max } = AUTOMATION_PARAMS[track.automationLane];
+    return track.automationCanvas.height * (1 - (value - min) / (max - min));
+}
+
+function automationPointFromPos(track, pos) {
+    const { min, max } = AUTOMATION_PARAMS[track.automationLane];
+    const fraction = 1 - Math.max(0, Math.min(1, pos.y / track.automationCanvas.height));
+    return { time: waveformXToTime(track, pos.x), value: min + fraction * (max - min) };
+}
+
+function findAutomationPointAt(track, pos) {
+    return track.automation[track.automationLane].find(p =>
+        Math.hypot(timeToWaveformX(track, p.time) - pos.x, getAutomationY(track, p.value) - pos.y) <= AUTOMATION_HIT_TOLERANCE);
+}
+
+// Click adds a point, drag moves one, Shift+click deletes one. Drawing on a track in Off mode arms Read.
+function handleAutomationMouseDown(event, trackId) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded) return;
+    const name = track.automationLane;
+    const pos = getMousePos(track.automationCanvas, event);
+    const before = captureHistorySnapshot('automation', trackId);
+    let point = findAutomationPointAt(track, pos);
+    event.preventDefault();
+    if (point && event.shiftKey) {
+        track.automation[name] = track.automation[name].filter(p => p !== point);
+        if (track.automation[name].length === 0) releaseAutomationParam(track, name);
+        recordSnapshotEdit('automation', trackId, `Track ${trackId}: Delete ${AUTOMATION_PARAMS[name].label.toLowerCase()} point`, before);
+        drawWaveform(trackId);
+        return;
+    }
+    if (!point) {
+        point = automationPointFromPos(track, pos);
+        track.automation[name] = [...track.automation[name], point].sort((a, b) => a.time - b.time);
+        if (track.automationMode === 'off') setAutomationMode(trackId, 'read');
+    }
+    automationDrag = { trackId, point, before };
+    drawWaveform(trackId);
+}
+
+function handleAutomationMouseMove(event, trackId) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded) return;
+    const pos = getMousePos(track.automationCanvas, event);
+    if (automationDrag?.trackId !== trackId) {
+        track.automationCanvas.style.cursor = findAutomationPointAt(track, pos) ? 'grab' : 'crosshair';
+        return;
+    }
+    Object.assign(automationDrag.point, automationPointFromPos(track, pos));
+    track.automation[track.automationLane].sort((a, b) => a.time - b.time);
+    drawWaveform(trackId);
+}
+
+function handleAutomationMouseUp() {
+    if (!automationDrag) return;
+    const { trackId, before } = automationDrag;
+    automationDrag = null;
+    const track = tracks[trackId];
+    if (track) recordSnapshotEdit('automation', trackId, `Track ${trackId}: Edit ${AUTOMATION_PARAMS[track.automationLane].label.toLowerCase()}`, before);
+}
+
+// --- Drawing ---
+// Called from drawWaveform, so the lane follows the waveform's zoom and playhead
+function drawAutomationLane(track) {
+    const canvas = track.automationCanvas;
+    const ctx = track.automationCtx;
+    if (!canvas || !ctx) return;
+    const { width, height } = canvas;
+    ctx.fillStyle = '#1e2127';
+    ctx.fillRect(0, 0, width, height);
+    if (!track.isLoaded || !track.buffer) return;
+
+    const name = track.automationLane;
+    const definition = AUTOMATION_PARAMS[name];
+    const points = track.automation[name];
+    const position = track.getPosition();
+    if (points.length > 0) {
+        ctx.strokeStyle = track.automationMode === 'off' ? '#777777' : '#f39c12';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, getAutomationY(track, points[0].value));
+        points.forEach(p => ctx.lineTo(timeToWaveformX(track, p.time), getAutomationY(track, p.value)));
+        ctx.lineTo(width, getAutomationY(track, points[points.length - 1].value));
+        ctx.stroke();
+        ctx.fillStyle = ctx.strokeStyle;
+        points.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(timeToWaveformX(track, p.time), getAutomationY(track, p.value), AUTOMATION_POINT_RADIUS, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    const playheadX = Math.round(timeToWaveformX(track, position)) + 0.5;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(playheadX, 0);
+    ctx.lineTo(playheadX, height);
+    ctx.stroke();
+
+    ctx.fillStyle = '#cccccc';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'left';
+    const current = points.length > 0 ? ` ${definition.format(getAutomationValue(points, position))}` : '';
+    ctx.fillText(`${definition.label}${current}`, 4, 11);
+    if (name === 'filter' && !getAutomatedFilter(track)) {
+        ctx.textAlign = 'center';
+        ctx.fillText('Add a Filter effect to hear this lane', width / 2, height / 2 + 4);
+    }
+}
+
+// --- Offline Export ---
+// Steps through the render the way live playback moves: the position advances at the (automated) tempo
+// and wraps inside the loop. targets: lane name -> { params: [AudioParam], map(value) }.
+function scheduleOfflineAutomation(track, targets, mixDuration) {
+    const lanes = Object.keys(targets).filter(name => hasAutomation(track, name));
+    if (lanes.length === 0) return;
+    const loopLength = track.endTime - track.startTime;
+    let position = track.startTime;
+    for (let time = 0; time <= mixDuration; time += AUTOMATION_EXPORT_STEP) {
+        const tempo = hasAutomation(track, 'tempo') ? getAutomationValue(track.automation.tempo, position) : track.tempo;
+        lanes.forEach(name => {
+            const { params, map = (v) => v } = targets[name];
+            const value = map(name === 'tempo' ? tempo : getAutomationValue(track.automation[name], position));
+            params.forEach(param => {
+                if (time === 0 || name === 'tempo') param.setValueAtTime(value, time);
+                else param.linearRampToValueAtTime(value, time);
+            });
+        });
+        position += tempo * AUTOMATION_EXPORT_STEP;
+        if (position >= track.endTime) {
+            if (!track.isLooping || loopLength <= 0) break;
+            position = track.startTime + ((position - track.startTime) % loopLength);
+        }
+    }
+}
+
+window.addEventListener('mouseup', handleAutomationMouseUp);
+setInterval(scheduleAutomation, AUTOMATION_TICK_MS);
@@ -0,0 +1,124 @@
+// --- Beat Grid and Bar Loops ---
+// Each track's grid runs from its downbeat offset at the track's BPM (both in buffer time), is drawn over
+// the waveform, and sets musical loop lengths anchored at the start marker.
+
+const LOOP_BAR_PRESETS = [1, 2, 4, 8, 16];
+const BEAT_GRID_MIN_SPACING = 4; // Pixels; individual beats are hidden when zoomed out further than this
+
+function getBeatSeconds(track) {
+    return track?.bpm > 0 ? 60 / track.bpm : null;
+}
+
+// Time of grid beat n (beat 0 is the downbeat)
+function getBeatTime(track, n) {
+    return track.downbeatOffset + n * getBeatSeconds(track);
+}
+
+function drawBeatGrid(track, ctx, width, height) {
+    const beatSeconds = getBeatSeconds(track);
+    if (!beatSeconds) return;
+    const view = getWaveformView(track);
+    const pixelsPerBeat = (beatSeconds / view.duration) * width;
+    const showBeats = pixelsPerBeat >= BEAT_GRID_MIN_SPACING;
+    if (!showBeats && pixelsPerBeat * BEATS_PER_BAR < BEAT_GRID_MIN_SPACING) return;
+
+    const firstBeat = Math.ceil((view.start - track.downbeatOffset) / beatSeconds);
+    const lastBeat = Math.floor((view.start + view.duration - track.downbeatOffset) / beatSeconds);
+    for (let n = firstBeat; n <= lastBeat; n++) {
+        const isBar = ((n % BEATS_PER_BAR) + BEATS_PER_BAR) % BEATS_PER_BAR === 0;
+        if (!isBar && !showBeats) continue;
+        const x = Math.round(timeToWaveformX(track, getBeatTime(track, n))) + 0.5;
+        ctx.strokeStyle = isBar ? 'rgba(255, 200, 0, 0.6)' : 'rgba(255, 255, 255, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+    }
+}
+
+function setDownbeatOffset(trackId, seconds) {
+    const track = tracks[trackId];
+    if (!track) return;
+    const beatSeconds = getBeatSeconds(track);
+    let offset = Math.max(0, seconds || 0);
+    // Any downbeat is equivalent to the first one in the file
+    if (beatSeconds) offset %= beatSeconds * BEATS_PER_BAR;
+    track.downbeatOffset = offset;
+    if (track.downbeatInput) track.downbeatInput.value = offset.toFixed(3);
+    drawWaveform(trackId);
+}
+
+// Enables the loop buttons once a loaded track has a BPM, and redraws the grid
+function updateBeatGridControls(trackId) {
+    const track = tracks[trackId];
+    if (!track) return;
+    const hasGrid = track.isLoaded && !!getBeatSeconds(track);
+    track.loopPresetButtons?.forEach(button => {
+        button.disabled = !track.isLoaded || (!!button.dataset.bars && !hasGrid);
+    });
+    if (track.downbeatInput) track.downbeatInput.disabled = !track.isLoaded;
+    if (track.setDownbeatButton) track.setDownbeatButton.disabled = !track.isLoaded;
+    drawWaveform(trackId);
+}
+
+// Sets the loop to length seconds from the start marker and turns looping on. While playing, the
+// playhead keeps its phase within the new loop so it stays on the beat.
+function setLoopLength(trackId, length) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded || !(length > 0)) return;
+    const when = audioContext ? audioContext.currentTime + TRANSPORT_LOOKAHEAD : 0;
+    const endTime = Math.min(track.buffer.duration, track.startTime + length);
+    const loopLength = endTime - track.startTime;
+    if (loopLength <= 0) return;
+
+    const position = track.isPlaying ? track.getPosition(when) : track.playbackOffset;
+    const wasPlaying = track.isPlaying && track.stop(when);
+    track.endTime = endTime;
+    track.setLooping(true); // Stopped at this point, so this doesn't restart the track
+    track.playbackOffset = position >= track.startTime
+        ? track.startTime + ((position - track.startTime) % loopLength)
+        : track.startTime;
+    if (wasPlaying) track.play(when);
+    drawWaveform(trackId);
+}
+
+function setLoopBars(trackId, bars) {
+    const beatSeconds = getBeatSeconds(tracks[trackId]);
+    if (!beatSeconds) return;
+    withSnapshotHistory('region', trackId, `Track ${trackId}: Loop ${bars} bar${bars === 1 ? '' : 's'}`,
+        () => setLoopLength(trackId, bars * BEATS_PER_BAR * beatSeconds));
+}
+
+function scaleLoop(trackId, factor) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded) return;
+    withSnapshotHistory('region', trackId, `Track ${trackId}: ${factor < 1 ? 'Halve' : 'Double'} loop`,
+        () => setLoopLength(trackId, (track.endTime - track.startTime) * factor));
+}
+
+// Builds the bar preset and halve/double buttons into the track's .loop-presets container
+function createLoopPresetButtons(trackId, container) {
+    const buttons = LOOP_BAR_PRESETS.map(bars => {
+        const button = document.createElement('button');
+        button.textContent = bars === 1 ? '1 bar' : `${bars}`;
+        button.dataset.bars = bars;
+        button.title = `Loop ${bars} bar${bars === 1 ? '' : 's'} from the start marker`;
+        button.addEventListener('click', () => setLoopBars(trackId, bars));
+        return button;
+    });
+    const halve = document.createElement('button');
+    halve.textContent = '½';
+    halve.title = 'Halve the loop';
+    halve.addEventListener('click', () => scaleLoop(trackId, 0.5));
+    const double = document.createElement('button');
+    double.textContent = '×2';
+    double.title = 'Double the loop';
+    double.addEventListener('click', () => scaleLoop(trackId, 2));
+    buttons.push(halve, double);
+    buttons.forEach(button => {
+        button.disabled = true;
+        container.appendChild(button);
+    });
+    return buttons;
+}
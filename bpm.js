@@ -0,0 +1,203 @@
+// --- BPM Detection and Tempo Sync ---
+// Estimates each track's BPM from an onset-strength envelope and sets tempo ratios so all tracks land on one BPM.
+
+const BPM_MIN = 60;
+const BPM_MAX = 200;
+const BPM_PRIOR_CENTER = 120; // Octave errors are resolved towards this tempo
+const ONSET_HOP_SIZE = 512;
+const ONSET_FRAME_SIZE = 1024;
+const BPM_ANALYSIS_MAX_SECONDS = 120; // Long files are analysed from the start only
+const BPM_REFINE_MULTIPLES = 8; // Beat-period multiples checked when refining the lag
+
+// --- DOM Element References ---
+const masterBpmInput = document.getElementById('master-bpm');
+const syncSourceSelect = document.getElementById('sync-source');
+const syncTemposButton = document.getElementById('sync-tempos');
+
+syncTemposButton.addEventListener('click', syncAllTempos);
+syncSourceSelect.addEventListener('change', () => {
+    const referenceBpm = getSyncReferenceBpm();
+    if (referenceBpm) masterBpmInput.value = referenceBpm.toFixed(2);
+});
+
+// --- Onset Envelope ---
+// Half-wave rectified difference of log frame energy, one value per hop
+function computeOnsetEnvelope(buffer, maxSeconds = BPM_ANALYSIS_MAX_SECONDS) {
+    const sampleRate = buffer.sampleRate;
+    const length = Math.min(buffer.length, Math.floor(maxSeconds * sampleRate));
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+
+    const frameCount = Math.max(0, Math.floor((length - ONSET_FRAME_SIZE) / ONSET_HOP_SIZE) + 1);
+    const envelope = new Float32Array(frameCount);
+    let previousEnergy = 0;
+    for (let f = 0; f < frameCount; f++) {
+        const frameStart = f * ONSET_HOP_SIZE;
+        let energy = 0;
+        for (let i = frameStart; i < frameStart + ONSET_FRAME_SIZE; i++) {
+            let sample = 0;
+            for (let c = 0; c < channels.length; c++) sample += channels[c][i];
+            energy += sample * sample;
+        }
+        const logEnergy = Math.log(1e-9 + energy / ONSET_FRAME_SIZE);
+        envelope[f] = f > 0 ? Math.max(0, logEnergy - previousEnergy) : 0;
+        previousEnergy = logEnergy;
+    }
+    return { envelope, hopSeconds: ONSET_HOP_SIZE / sampleRate };
+}
+
+// --- Tempo Estimation ---
+// Returns { bpm, confidence } or null when the buffer is too short to analyse
+function detectBpm(buffer) {
+    const { envelope, hopSeconds } = computeOnsetEnvelope(buffer);
+    const minLag = Math.floor(60 / (BPM_MAX * hopSeconds));
+    const maxLag = Math.ceil(60 / (BPM_MIN * hopSeconds));
+    if (envelope.length < maxLag * 4) return null;
+
+    // Remove the mean so silence and sustained notes don't dominate the autocorrelation
+    let mean = 0;
+    for (let i = 0; i < envelope.length; i++) mean += envelope[i];
+    mean /= envelope.length;
+    const centered = envelope.map(v => v - mean);
+
+    const autocorrelation = new Float32Array(maxLag * 2 + 2);
+    for (let lag = minLag; lag < autocorrelation.length && lag < centered.length; lag++) {
+        let sum = 0;
+        for (let i = 0; i + lag < centered.length; i++) sum += centered[i] * centered[i + lag];
+        autocorrelation[lag] = sum / (centered.length - lag);
+    }
+
+    let bestLag = -1;
+    let bestScore = -Infinity;
+    let totalScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const bpm = 60 / (lag * hopSeconds);
+        // Reward lags whose double also correlates, weighted by a log-normal prior around BPM_PRIOR_CENTER
+        const prior = Math.exp(-0.5 * Math.log2(bpm / BPM_PRIOR_CENTER) ** 2);
+        const score = (autocorrelation[lag] + 0.5 * autocorrelation[lag * 2]) * prior;
+        if (score > 0) totalScore += score;
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+    if (bestLag < 0 || bestScore <= 0) return null;
+
+    const refinedLag = refineBeatLag(centered, bestLag);
+    return {
+        bpm: Math.round((60 / (refinedLag * hopSeconds)) * 100) / 100,
+        confidence: totalScore > 0 ? bestScore / totalScore : 0
+    };
+}
+
+// Fine search around the integer lag: the true period lines up with peaks at many multiples of itself
+function refineBeatLag(centered, lag) {
+    const maxLag = Math.min(centered.length - 1, Math.ceil((lag + 1) * BPM_REFINE_MULTIPLES) + 1);
+    const autocorrelation = new Float32Array(maxLag + 1);
+    for (let l = 1; l <= maxLag; l++) {
+        let sum = 0;
+        for (let i = 0; i + l < centered.length; i++) sum += centered[i] * centered[i + l];
+        autocorrelation[l] = sum / (centered.length - l);
+    }
+    const interpolate = (position) => {
+        const index = Math.floor(position);
+        if (index + 1 > maxLag) return 0;
+        const fraction = position - index;
+        return autocorrelation[index] * (1 - fraction) + autocorrelation[index + 1] * fraction;
+    };
+
+    let bestLag = lag;
+    let bestScore = -Infinity;
+    for (let candidate = lag - 1; candidate <= lag + 1; candidate += 0.01) {
+        let score = 0;
+        for (let k = 1; k <= BPM_REFINE_MULTIPLES; k++) score += interpolate(candidate * k);
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = candidate;
+        }
+    }
+    return bestLag;
+}
+
+// --- Track Integration ---
+function analyzeTrackBpm(trackId) {
+    const track = tracks[trackId];
+    if (!track?.buffer) return;
+    const result = detectBpm(track.buffer);
+    if (result) {
+        console.log(`Track ${trackId}: detected ${result.bpm} BPM (confidence ${result.confidence.toFixed(2)})`);
+        setTrackBpm(trackId, result.bpm);
+    } else {
+        console.warn(`Track ${trackId}: could not detect BPM.`);
+        setTrackBpm(trackId, null);
+    }
+}
+
+function setTrackBpm(trackId, bpm) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.bpm = bpm > 0 ? bpm : null;
+    if (track.bpmInput) track.bpmInput.value = track.bpm ? track.bpm.toFixed(2) : '';
+    updateSyncSourceOptions();
+    updateTempoSyncedEffects(trackId);
+    updateBeatGridControls(trackId);
+}
+
+function handleBpmInputChange(event, trackId) {
+    const value = parseFloat(event.target.value);
+    setTrackBpm(trackId, value > 0 ? value : null);
+}
+
+// Refreshes the "Sync to" list with the tracks that currently have a BPM
+function updateSyncSourceOptions() {
+    const previousValue = syncSourceSelect.value;
+    syncSourceSelect.innerHTML = '';
+    syncSourceSelect.appendChild(new Option('Master BPM', 'master'));
+    Object.values(tracks).forEach(t => {
+        if (t?.isLoaded && t.bpm) syncSourceSelect.appendChild(new Option(`Track ${t.id}`, String(t.id)));
+    });
+    const stillAvailable = Array.from(syncSourceSelect.options).some(o => o.value === previousValue);
+    syncSourceSelect.value = stillAvailable ? previousValue : 'master';
+}
+
+// Effective BPM of the selected reference: a track's BPM at its current tempo, or the master BPM field
+function getSyncReferenceBpm() {
+    const referenceId = syncSourceSelect.value;
+    if (referenceId !== 'master') {
+        const reference = tracks[referenceId];
+        if (reference?.bpm) return reference.bpm * reference.tempo;
+    }
+    const masterBpm = parseFloat(masterBpmInput.value);
+    return masterBpm > 0 ? masterBpm : null;
+}
+
+// Picks the tempo ratio closest to 1 among half/normal/double time that fits the slider range
+function getTempoRatioForBpm(sourceBpm, targetBpm, minTempo, maxTempo) {
+    const candidates = [0.5, 1, 2]
+        .map(multiplier => (targetBpm * multiplier) / sourceBpm)
+        .filter(ratio => ratio >= minTempo && ratio <= maxTempo);
+    if (candidates.length === 0) return Math.max(minTempo, Math.min(maxTempo, targetBpm / sourceBpm));
+    return candidates.reduce((best, ratio) => Math.abs(Math.log2(ratio)) < Math.abs(Math.log2(best)) ? ratio : best);
+}
+
+function syncAllTempos() {
+    const targetBpm = getSyncReferenceBpm();
+    if (!targetBpm) {
+        alert("Enter a master BPM or pick a track with a detected BPM to sync to.");
+        return;
+    }
+    const historyEdits = [masterBpmInput, ...Object.values(tracks).filter(Boolean).map(t => t.tempoSlider)]
+        .map(element => ({ element, before: getControlValue(element) }));
+    masterBpmInput.value = targetBpm.toFixed(2);
+    const referenceId = syncSourceSelect.value;
+
+    Object.values(tracks).forEach(track => {
+        if (!track?.isLoaded || !track.bpm || String(track.id) === referenceId) return;
+        const ratio = getTempoRatioForBpm(track.bpm, targetBpm,
+            parseFloat(track.tempoSlider.min), parseFloat(track.tempoSlider.max));
+        track.tempoSlider.value = ratio;
+        handleTempoChange({ target: track.tempoSlider }, track.id);
+        console.log(`Track ${track.id}: synced ${track.bpm} BPM to ${targetBpm.toFixed(2)} BPM (tempo ${ratio.toFixed(3)}x)`);
+    });
+    recordControlEdits('Sync tempos', historyEdits);
+}
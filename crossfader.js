@@ -0,0 +1,66 @@
+// --- Master Crossfader ---
+// Blends tracks assigned to side A or B through a per-track crossfade gain stage:
+// gainNode (track volume) -> crossfadeGainNode -> masterGainNode. "Thru" tracks are unaffected.
+
+const CROSSFADER_SMOOTHING = 0.015; // setTargetAtTime time constant in seconds
+const CROSSFADER_KEY_STEP = 0.05;
+const CROSSFADER_CUT_WIDTH = 0.04; // Fraction of travel at each end over which the cut curve brings a side in
+
+// --- DOM Element References ---
+const crossfaderSlider = document.getElementById('crossfader');
+const crossfaderCurveSelect = document.getElementById('crossfader-curve');
+
+// Gains for sides A and B at position x (0 = full A, 1 = full B)
+const CROSSFADER_CURVES = {
+    linear: (x) => ({ a: 1 - x, b: x }),
+    'equal-power': (x) => ({ a: Math.cos(x * Math.PI / 2), b: Math.sin(x * Math.PI / 2) }),
+    // Both sides stay at full level except within a short distance of the opposite end, for scratch-style cuts
+    cut: (x) => ({
+        a: Math.max(0, Math.min(1, (1 - x) / CROSSFADER_CUT_WIDTH)),
+        b: Math.max(0, Math.min(1, x / CROSSFADER_CUT_WIDTH))
+    })
+};
+
+function getCrossfaderPosition() {
+    return parseFloat(crossfaderSlider.value);
+}
+
+// Gain the crossfader applies to a track at the given position
+function getCrossfadeGain(track, position = getCrossfaderPosition()) {
+    if (!track || track.crossfaderSide === 'thru') return 1;
+    const curve = CROSSFADER_CURVES[crossfaderCurveSelect.value] || CROSSFADER_CURVES['equal-power'];
+    const gains = curve(position);
+    return track.crossfaderSide === 'A' ? gains.a : gains.b;
+}
+
+function updateCrossfadeGains() {
+    if (!audioContext) return;
+    Object.values(tracks).forEach(track => {
+        if (!track?.crossfadeGainNode) return;
+        const gain = track.crossfadeGainNode.gain;
+        gain.cancelScheduledValues(audioContext.currentTime);
+        gain.setTargetAtTime(getCrossfadeGain(track), audioContext.currentTime, CROSSFADER_SMOOTHING);
+    });
+}
+
+// Moves the slider and fires its input event, so keyboard and controller mappings follow the same path
+function setCrossfaderPosition(value) {
+    crossfaderSlider.value = Math.max(0, Math.min(1, value));
+    crossfaderSlider.dispatchEvent(new Event('input'));
+}
+
+// direction -1 moves toward A, +1 toward B (keyboard shortcuts)
+function nudgeCrossfader(direction) {
+    setCrossfaderPosition(getCrossfaderPosition() + direction * CROSSFADER_KEY_STEP);
+}
+
+function setTrackCrossfaderSide(trackId, side) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.crossfaderSide = ['A', 'B'].includes(side) ? side : 'thru';
+    if (track.crossfaderSideSelect) track.crossfaderSideSelect.value = track.crossfaderSide;
+    updateCrossfadeGains();
+}
+
+crossfaderSlider.addEventListener('input', updateCrossfadeGains);
+crossfaderCurveSelect.addEventListener('change', updateCrossfadeGains);
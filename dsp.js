@@ -0,0 +1,62 @@
+// --- Shared DSP Helpers ---
+// Small, dependency-free building blocks used by the analysis modules.
+
+// In-place iterative radix-2 FFT. re/im are Float32Arrays (or arrays) of the same power-of-two length.
+function fft(re, im, inverse = false) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / size;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        const half = size >> 1;
+        for (let start = 0; start < n; start += size) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < half; k++) {
+                const a = start + k;
+                const b = a + half;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = wRe * stepRe - wIm * stepIm;
+                wIm = wRe * stepIm + wIm * stepRe;
+                wRe = nextRe;
+            }
+        }
+    }
+    if (inverse) {
+        for (let i = 0; i < n; i++) {
+            re[i] /= n;
+            im[i] /= n;
+        }
+    }
+}
+
+function createHannWindow(size) {
+    const hann = new Float32Array(size);
+    for (let i = 0; i < size; i++) hann[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+    return hann;
+}
+
+// Averages all channels of an AudioBuffer into one Float32Array, optionally limited to maxSamples
+function mixToMono(buffer, maxSamples = buffer.length) {
+    const length = Math.min(buffer.length, maxSamples);
+    const mono = new Float32Array(length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < length; i++) mono[i] += data[i] / buffer.numberOfChannels;
+    }
+    return mono;
+}
@@ -0,0 +1,197 @@
+// --- Sidechain Ducking ---
+// Lowers a track while another track is loud, or on every beat ("pump"), through a duckGainNode between
+// its gainNode and crossfadeGainNode. The follower reads the source track's meter analyser on a timer, so
+// it reacts within a few tens of milliseconds: right for keeping an instrumental under a vocal, too slow
+// to catch single drum hits, and its attack can't be set shorter than DUCK_FOLLOW_MIN_ATTACK_MS. Pump
+// envelopes are scheduled ahead on the transport's beat grid instead, so any attack works for them.
+
+const DUCK_TICK_MS = 25;
+const DUCK_MIN_ATTACK_MS = 1; // The attack slider's range for the pump
+const DUCK_FOLLOW_MIN_ATTACK_MS = 2 * DUCK_TICK_MS; // A level change can go unseen for a tick, so faster attacks are fiction
+const DUCK_KNEE_DB = 6; // Full reduction is reached this far above the threshold
+const DUCK_PUMP_LOOKAHEAD = 0.2; // Seconds of pump envelopes scheduled ahead
+const DUCK_PUMP_SOURCE = 'pump';
+const DUCK_RESET_TIME_CONSTANT = 0.05; // Return to unity when ducking stops
+const DUCK_SAMPLES = new Float32Array(METER_FFT_SIZE);
+
+function getDuckSettings(track) {
+    return {
+        threshold: parseFloat(track.duckThresholdSlider.value), // dBFS
+        amount: parseFloat(track.duckAmountSlider.value), // dB of reduction
+        attack: parseFloat(track.duckAttackSlider.value) / 1000, // ms -> s
+        release: parseFloat(track.duckReleaseSlider.value) / 1000
+    };
+}
+
+function dbToAmplitude(db) {
+    return Math.pow(10, db / 20);
+}
+
+// Created along with the track's other gain nodes
+function createDuckGainNode(track) {
+    track.duckGainNode = audioContext.createGain();
+    track.gainNode.connect(track.duckGainNode);
+    track.duckGainNode.connect(track.crossfadeGainNode);
+}
+
+// --- Follower ---
+function getTrackPeakDb(track) {
+    if (!track?.meterAnalyser || !track.isPlaying) return -Infinity;
+    track.meterAnalyser.getFloatTimeDomainData(DUCK_SAMPLES);
+    let peak = 0;
+    for (let i = 0; i < DUCK_SAMPLES.length; i++) peak = Math.max(peak, Math.abs(DUCK_SAMPLES[i]));
+    return amplitudeToDb(peak);
+}
+
+// Gain for a source level: 1 below the threshold, easing into the full reduction over DUCK_KNEE_DB
+function getDuckGain(levelDb, settings) {
+    const over = Math.max(0, Math.min(1, (levelDb - settings.threshold) / DUCK_KNEE_DB));
+    return dbToAmplitude(-settings.amount * over);
+}
+
+// Falling gain moves at the attack rate, rising gain at the release rate (~95% in the set time)
+function getFollowTimeConstant(target, current, settings) {
+    return Math.max(0.001, (target < current ? settings.attack : settings.release) / 3);
+}
+
+function followDuckSource(track, settings) {
+    const target = getDuckGain(getTrackPeakDb(tracks[track.duckSource]), settings);
+    if (Math.abs(target - track.duckTarget) < 1e-3) return;
+    track.duckGainNode.gain.setTargetAtTime(target, audioContext.currentTime, getFollowTimeConstant(target, track.duckTarget, settings));
+    track.duckTarget = target;
+}
+
+// --- Tempo Pump ---
+// Beats of the transport grid at the track's heard BPM (its own BPM at its tempo, else the master BPM)
+function getPumpBeatSeconds(track) {
+    return 60 / getTrackEffectBpm(track);
+}
+
+// Each beat: down by the amount over the attack time, then back up over the release time
+function schedulePumpEnvelope(param, beatTime, settings) {
+    param.setTargetAtTime(dbToAmplitude(-settings.amount), beatTime, Math.max(0.001, settings.attack / 3));
+    param.setTargetAtTime(1, beatTime + settings.attack, Math.max(0.001, settings.release / 3));
+}
+
+function schedulePump(track, settings) {
+    const origin = engine.transportOrigin;
+    if (origin === null) return;
+    const beatSeconds = getPumpBeatSeconds(track);
+    const horizon = audioContext.currentTime + DUCK_PUMP_LOOKAHEAD;
+    const from = Math.max(track.duckScheduledUntil, audioContext.currentTime);
+    for (let beat = Math.ceil((from - origin) / beatSeconds); ; beat++) {
+        const beatTime = origin + beat * beatSeconds;
+        if (beatTime > horizon) break;
+        if (beatTime > track.duckScheduledUntil) schedulePumpEnvelope(track.duckGainNode.gain, beatTime, settings);
+    }
+    track.duckScheduledUntil = horizon;
+}
+
+// --- Scheduling ---
+function updateDucking() {
+    if (!audioContext) return;
+    Object.values(tracks).forEach(track => {
+        if (!track?.duckGainNode) return;
+        const active = track.isPlaying && track.duckSource;
+        if (!active) {
+            resetDuckGain(track);
+            return;
+        }
+        const settings = getDuckSettings(track);
+        if (track.duckSource === DUCK_PUMP_SOURCE) schedulePump(track, settings);
+        else followDuckSource(track, settings);
+    });
+}
+
+// Back to unity, dropping any envelopes scheduled ahead
+function resetDuckGain(track) {
+    if (!track.duckGainNode || (track.duckTarget === 1 && track.duckScheduledUntil === 0)) return;
+    const gain = track.duckGainNode.gain;
+    gain.cancelScheduledValues(audioContext.currentTime);
+    gain.setTargetAtTime(1, audioContext.currentTime, DUCK_RESET_TIME_CONSTANT);
+    track.duckTarget = 1;
+    track.duckScheduledUntil = 0;
+}
+
+// --- Settings ---
+// source: '' (off), DUCK_PUMP_SOURCE or a track id
+function setDuckSource(trackId, source) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.duckSource = source && String(source) !== String(trackId) ? String(source) : '';
+    updateDuckAttackRange(track);
+    if (track.duckGainNode) resetDuckGain(track);
+    updateDuckSourceOptions();
+}
+
+// Following a track limits the attack to what the follower can do; the slider's value moves up with its minimum
+function updateDuckAttackRange(track) {
+    const following = track.duckSource && track.duckSource !== DUCK_PUMP_SOURCE;
+    track.duckAttackSlider.min = following ? DUCK_FOLLOW_MIN_ATTACK_MS : DUCK_MIN_ATTACK_MS;
+    track.duckAttackSlider.title = following ? `At least ${DUCK_FOLLOW_MIN_ATTACK_MS} ms when following a track` : '';
+    updateDuckSettingDisplays(track);
+}
+
+function updateDuckSettingDisplays(track) {
+    const settings = getDuckSettings(track);
+    track.duckThresholdDisplay.textContent = settings.threshold.toFixed(0);
+    track.duckAmountDisplay.textContent = settings.amount.toFixed(0);
+    track.duckAttackDisplay.textContent = (settings.attack * 1000).toFixed(0);
+    track.duckReleaseDisplay.textContent = (settings.release * 1000).toFixed(0);
+    // Pump envelopes already scheduled keep their old shape; schedule afresh from now
+    if (track.duckSource === DUCK_PUMP_SOURCE && track.duckGainNode) resetDuckGain(track);
+}
+
+// Lists every other track, keeping each track's choice while its source exists
+function updateDuckSourceOptions() {
+    Object.values(tracks).forEach(track => {
+        if (!track?.duckSourceSelect) return;
+        const select = track.duckSourceSelect;
+        select.innerHTML = '';
+        select.add(new Option('Off', ''));
+        select.add(new Option('Tempo pump', DUCK_PUMP_SOURCE));
+        Object.values(tracks).forEach(other => {
+            if (other && other.id !== track.id) select.add(new Option(`Track ${other.id}`, String(other.id)));
+        });
+        select.value = track.duckSource;
+        if (select.value !== track.duckSource) select.value = ''; // Source not added yet (project restore)
+    });
+}
+
+// A removed track stops ducking the tracks that followed it
+function forgetDuckSource(removedTrackId) {
+    Object.values(tracks).forEach(track => {
+        if (track?.duckSource === String(removedTrackId)) setDuckSource(track.id, '');
+    });
+}
+
+// --- Offline Export ---
+// Replays the follower over the source track's rendered audio (sourceBuffer): the analyser's window, read
+// every tick and mixed down to mono like the analyser does, and the same gain moves as during playback
+function scheduleOfflineFollower(track, param, sourceBuffer) {
+    const settings = getDuckSettings(track);
+    const channels = Array.from({ length: sourceBuffer.numberOfChannels }, (_, c) => sourceBuffer.getChannelData(c));
+    const tickSamples = Math.round(DUCK_TICK_MS / 1000 * sourceBuffer.sampleRate);
+    let current = 1;
+    for (let end = tickSamples; end <= sourceBuffer.length; end += tickSamples) {
+        let peak = 0;
+        for (let i = Math.max(0, end - DUCK_SAMPLES.length); i < end; i++) {
+            let sample = 0;
+            for (let c = 0; c < channels.length; c++) sample += channels[c][i];
+            peak = Math.max(peak, Math.abs(sample / channels.length));
+        }
+        const target = getDuckGain(amplitudeToDb(peak), settings);
+        if (Math.abs(target - current) < 1e-3) continue;
+        param.setTargetAtTime(target, end / sourceBuffer.sampleRate, getFollowTimeConstant(target, current, settings));
+        current = target;
+    }
+}
+
+function scheduleOfflinePump(track, param, mixDuration) {
+    if (track.duckSource !== DUCK_PUMP_SOURCE) return;
+    const settings = getDuckSettings(track);
+    const beatSeconds = getPumpBeatSeconds(track);
+    for (let beatTime = 0; beatTime < mixDuration; beatTime += beatSeconds) schedulePumpEnvelope(param, beatTime, settings);
+}
+
+setInterval(updateDucking, DUCK_TICK_MS);
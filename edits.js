@@ -0,0 +1,400 @@
+// --- Clip Edits ---
+// A per-track stack of non-destructive edits (trim, fades, loop crossfade, normalize, reverse, gain). Each
+// edit renders a new AudioBuffer from the previous one, starting at the selected source (the decoded mix or
+// a stem), and the result becomes track.buffer, so playback, the waveform and the export all use it. The
+// source buffers are never touched: removing edits or reverting renders again from the original.
+// Edits that move audio in time (trim, reverse) also move the markers, cues, grid, clips and automation.
+
+const EDIT_EXPONENTIAL_RANGE_DB = 60; // Exponential fades rise from this far below full level
+const EDIT_MAX_GAIN_DB = 40; // Normalizing never boosts near-silence by more than this
+
+// Gain at position x (0..1) through a fade-in; fade-outs run it backwards
+const EDIT_FADE_CURVES = {
+    linear: { label: 'Linear', gain: (x) => x },
+    exponential: { label: 'Exponential', gain: (x) => x > 0 ? dbToAmplitude(-EDIT_EXPONENTIAL_RANGE_DB * (1 - x)) : 0 },
+    'equal-power': { label: 'Equal power', gain: (x) => Math.sin(x * Math.PI / 2) },
+    's-curve': { label: 'S-curve', gain: (x) => (1 - Math.cos(x * Math.PI)) / 2 }
+};
+
+// Type -> { label, amount: { label, value, min, max } (the number the edit takes, if any), curve (uses a fade
+// curve), create(track, amount, curve) -> the edit's settings, render(buffer, edit) -> AudioBuffer,
+// describe(edit) }. Edits that move audio in time also have mapTime(time, edit, duration) and unmapTime (duration
+// is the edit's input length) and, if they change the length, getDuration(duration, edit).
+// Region-based edits store the markers they were made with, in the time of the buffer they apply to.
+const EDIT_TYPES = {
+    trim: {
+        label: 'Trim to region',
+        create: (track) => ({ start: track.startTime, end: track.endTime }),
+        render: (buffer, edit) => {
+            const from = Math.round(edit.start * buffer.sampleRate);
+            const to = Math.max(from + 1, Math.min(buffer.length, Math.round(edit.end * buffer.sampleRate)));
+            return copyEditBuffer(buffer, from, to);
+        },
+        mapTime: (time, edit) => time - edit.start,
+        unmapTime: (time, edit) => time + edit.start,
+        getDuration: (duration, edit) => Math.min(duration, edit.end) - edit.start,
+        describe: (edit) => `Trim to ${edit.start.toFixed(2)}-${edit.end.toFixed(2)}s`
+    },
+    fadeIn: {
+        label: 'Fade in',
+        amount: { label: 'Length (ms)', value: 500, min: 1, max: 60000 },
+        curve: true,
+        create: (track, amount, curve) => ({ start: track.startTime, end: track.endTime, duration: amount / 1000, curve }),
+        render: (buffer, edit) => applyFade(buffer, edit, 'in'),
+        describe: (edit) => `Fade in ${Math.round(edit.duration * 1000)} ms (${EDIT_FADE_CURVES[edit.curve].label.toLowerCase()})`
+    },
+    fadeOut: {
+        label: 'Fade out',
+        amount: { label: 'Length (ms)', value: 500, min: 1, max: 60000 },
+        curve: true,
+        create: (track, amount, curve) => ({ start: track.startTime, end: track.endTime, duration: amount / 1000, curve }),
+        render: (buffer, edit) => applyFade(buffer, edit, 'out'),
+        describe: (edit) => `Fade out ${Math.round(edit.duration * 1000)} ms (${EDIT_FADE_CURVES[edit.curve].label.toLowerCase()})`
+    },
+    loopCrossfade: {
+        label: 'Crossfade loop seam',
+        amount: { label: 'Length (ms)', value: 20, min: 1, max: 2000 },
+        create: (track, amount) => ({ start: track.startTime, end: track.endTime, duration: amount / 1000 }),
+        render: (buffer, edit) => applyLoopCrossfade(buffer, edit),
+        describe: (edit) => `Crossfade loop seam ${Math.round(edit.duration * 1000)} ms`
+    },
+    normalizePeak: {
+        label: 'Normalize (peak)',
+        amount: { label: 'Target (dBFS)', value: -1, min: -60, max: 0 },
+        create: (track, amount) => ({ target: amount }),
+        render: (buffer, edit) => applyEditGain(buffer, getNormalizeGain(buffer, edit.target, 'peak')),
+        describe: (edit) => `Normalize peak to ${edit.target} dBFS`
+    },
+    normalizeLoudness: {
+        label: 'Normalize (loudness)',
+        amount: { label: 'Target (dB RMS)', value: -14, min: -60, max: 0 },
+        create: (track, amount) => ({ target: amount }),
+        render: (buffer, edit) => applyEditGain(buffer, getNormalizeGain(buffer, edit.target, 'rms')),
+        describe: (edit) => `Normalize loudness to ${edit.target} dB RMS`
+    },
+    reverse: {
+        label: 'Reverse',
+        create: () => ({}),
+        render: (buffer) => {
+            const reversed = copyEditBuffer(buffer, 0, buffer.length);
+            for (let c = 0; c < reversed.numberOfChannels; c++) reversed.getChannelData(c).reverse();
+            return reversed;
+        },
+        mapTime: (time, edit, duration) => duration - time,
+        unmapTime: (time, edit, duration) => duration - time,
+        describe: () => 'Reverse'
+    },
+    gain: {
+        label: 'Clip gain',
+        amount: { label: 'Gain (dB)', value: 3, min: -60, max: 24 },
+        create: (track, amount) => ({ db: amount }),
+        render: (buffer, edit) => applyEditGain(buffer, dbToAmplitude(edit.db)),
+        describe: (edit) => `Gain ${edit.db > 0 ? '+' : ''}${edit.db} dB`
+    }
+};
+
+// --- Rendering ---
+function copyEditBuffer(buffer, from, to) {
+    const copy = audioContext.createBuffer(buffer.numberOfChannels, to - from, buffer.sampleRate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) copy.copyToChannel(buffer.getChannelData(c).subarray(from, to), c);
+    return copy;
+}
+
+function applyEditGain(buffer, gain) {
+    const result = copyEditBuffer(buffer, 0, buffer.length);
+    for (let c = 0; c < result.numberOfChannels; c++) {
+        const data = result.getChannelData(c);
+        for (let i = 0; i < data.length; i++) data[i] *= gain;
+    }
+    return result;
+}
+
+// Gain that brings the peak (or the RMS level over all channels) to targetDb. A loudness boost stops
+// short of pushing the peak over full scale.
+function getNormalizeGain(buffer, targetDb, measure) {
+    let peak = 0;
+    let sumSquares = 0;
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+            sumSquares += data[i] * data[i];
+        }
+    }
+    if (peak === 0) return 1; // Silence stays silent
+    const level = measure === 'peak' ? peak : Math.sqrt(sumSquares / (buffer.length * buffer.numberOfChannels));
+    const gain = Math.min(dbToAmplitude(targetDb) / level, dbToAmplitude(EDIT_MAX_GAIN_DB));
+    return measure === 'peak' ? gain : Math.min(gain, 1 / peak);
+}
+
+// Fades the start (or end) of the edit's region; audio outside the region is left alone
+function applyFade(buffer, edit, direction) {
+    const result = copyEditBuffer(buffer, 0, buffer.length);
+    const curve = EDIT_FADE_CURVES[edit.curve] || EDIT_FADE_CURVES.linear;
+    const start = Math.round(edit.start * buffer.sampleRate);
+    const end = Math.min(buffer.length, Math.round(edit.end * buffer.sampleRate));
+    const length = Math.min(end - start, Math.round(edit.duration * buffer.sampleRate));
+    for (let c = 0; c < result.numberOfChannels; c++) {
+        const data = result.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            const x = i / length;
+            if (direction === 'in') data[start + i] *= curve.gain(x);
+            else data[end - 1 - i] *= curve.gain(x);
+        }
+    }
+    return result;
+}
+
+// Smooths the jump from the loop's end back to its start. With audio before the start marker, the end of the
+// loop blends into what led up to the start; otherwise the start blends out of what followed the end.
+// Either way the markers stay put, so the loop keeps its length.
+function applyLoopCrossfade(buffer, edit) {
+    const start = Math.round(edit.start * buffer.sampleRate);
+    const end = Math.min(buffer.length, Math.round(edit.end * buffer.sampleRate));
+    const wanted = Math.min(Math.round(edit.duration * buffer.sampleRate), Math.floor((end - start) / 2));
+    const useBefore = start >= wanted || start >= buffer.length - end;
+    const length = Math.min(wanted, useBefore ? start : buffer.length - end);
+    if (length <= 0) throw new Error("There is no audio outside the loop to blend with. Crossfade the seam before trimming.");
+    const result = copyEditBuffer(buffer, 0, buffer.length);
+    for (let c = 0; c < result.numberOfChannels; c++) {
+        const input = buffer.getChannelData(c);
+        const data = result.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            // The sample either side of the jump is pure continuation of the one across it
+            const x = useBefore ? (i + 1) / length : i / length;
+            const fadeIn = Math.sin(x * Math.PI / 2);
+            const fadeOut = Math.cos(x * Math.PI / 2);
+            if (useBefore) data[end - length + i] = input[end - length + i] * fadeOut + input[start - length + i] * fadeIn;
+            else data[start + i] = input[start + i] * fadeIn + input[end + i] * fadeOut;
+        }
+    }
+    return result;
+}
+
+function renderEditedBuffer(source, edits) {
+    return edits.reduce((buffer, edit) => EDIT_TYPES[edit.type].render(buffer, edit), source);
+}
+
+// --- Track Integration ---
+// The selected stem (or the decoded mix) before any edits
+function getTrackSourceBuffer(track) {
+    return track.sourceBuffers[track.activeSource] || null;
+}
+
+function changesEditTimeline(edit) {
+    return !!EDIT_TYPES[edit.type].mapTime;
+}
+
+// Renders the track's buffer from its source and edit stack, keeping the zoom when the length is unchanged
+function rebuildTrackBuffer(trackId) {
+    const track = tracks[trackId];
+    const source = getTrackSourceBuffer(track);
+    if (!source) return;
+    setTrackEditedBuffer(track, renderEditedBuffer(source, track.edits));
+    if (track.isPlaying) track.restart();
+    drawWaveform(trackId);
+}
+
+function setTrackEditedBuffer(track, buffer) {
+    if (track.waveformView && track.buffer?.length === buffer.length) track.waveformView.buffer = buffer;
+    track.buffer = buffer;
+}
+
+// Moves everything stored in buffer time through map(time). Anything that ends up outside the new buffer is
+// dropped (cues, automation points) or clamped (markers, clips, slices). Reversed slices keep their pads.
+function remapTrackTimes(track, map) {
+    const duration = track.buffer.duration;
+    const inBuffer = (time) => time >= 0 && time <= duration;
+    const clamp = (time) => Math.max(0, Math.min(duration, time));
+    const [start, end] = [map(track.startTime), map(track.endTime)].map(clamp).sort((a, b) => a - b);
+    track.startTime = start;
+    track.endTime = end > start ? end : duration;
+    if (end <= start) track.startTime = 0;
+    track.playbackOffset = clamp(map(track.playbackOffset));
+    track.hotCues = track.hotCues.map(time => {
+        if (time === null) return null;
+        const mapped = map(time);
+        return inBuffer(mapped) && mapped < duration ? mapped : null;
+    });
+    const barSeconds = (getBeatSeconds(track) || 0) * BEATS_PER_BAR;
+    if (barSeconds) setDownbeatOffset(track.id, ((map(track.downbeatOffset) % barSeconds) + barSeconds) % barSeconds);
+    track.clips = track.clips.map(clip => {
+        const [from, to] = [map(clip.offset), map(clip.offset + clip.duration)].map(clamp).sort((a, b) => a - b);
+        return { ...clip, offset: from, duration: to - from };
+    }).filter(clip => clip.duration > 0);
+    track.slices = track.slices.map(slice => {
+        const [from, to] = [map(slice.start), map(slice.end)].map(clamp).sort((a, b) => a - b);
+        return { start: from, end: to };
+    }).filter(slice => slice.end > slice.start);
+    Object.values(track.automation).forEach(points => {
+        const moved = points.map(p => ({ time: map(p.time), value: p.value })).filter(p => inBuffer(p.time));
+        points.splice(0, points.length, ...moved.sort((a, b) => a.time - b.time));
+    });
+    releaseAutomation(track);
+}
+
+// Restarts a playing track at the mapped playhead, then redraws everything that shows buffer time
+function finishTimelineEdit(track, position) {
+    if (track.isPlaying) {
+        const restartAt = position >= track.startTime && position < track.endTime ? position : track.startTime;
+        track.restart(restartAt);
+    }
+    updateHotCueButtons(track.id);
+    updatePadButtons(track.id);
+    drawWaveform(track.id);
+    drawArrangement();
+}
+
+function addTrackEdit(trackId, edit) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded || !EDIT_TYPES[edit.type]) return false;
+    const type = EDIT_TYPES[edit.type];
+    let buffer;
+    try {
+        buffer = type.render(track.buffer, edit);
+    } catch (e) {
+        console.error(`Track ${trackId}: ${type.label} failed:`, e);
+        alert(`Could not apply ${type.label.toLowerCase()}: ${e.message}`);
+        return false;
+    }
+    const inputDuration = track.buffer.duration;
+    const position = track.getPosition();
+    track.edits.push(edit);
+    setTrackEditedBuffer(track, buffer);
+    if (type.mapTime) {
+        const map = (time) => type.mapTime(time, edit, inputDuration);
+        remapTrackTimes(track, map);
+        finishTimelineEdit(track, map(position));
+    } else {
+        if (track.isPlaying) track.restart();
+        drawWaveform(trackId);
+    }
+    console.log(`Track ${trackId}: ${type.describe(edit)}`);
+    renderEditList(trackId);
+    return true;
+}
+
+// Timing edits can only come off the top of the stack, since later edits were made in their time
+function canRemoveTrackEdit(track, index) {
+    return !changesEditTimeline(track.edits[index]) || index === track.edits.length - 1;
+}
+
+function removeTrackEdit(trackId, index) {
+    const track = tracks[trackId];
+    if (!track?.edits[index] || !canRemoveTrackEdit(track, index)) return;
+    if (index === track.edits.length - 1) {
+        popTrackEdits(track, 1);
+        return;
+    }
+    track.edits.splice(index, 1); // Gain and fades don't move anything, so nothing needs remapping
+    rebuildTrackBuffer(trackId);
+    renderEditList(trackId);
+}
+
+// Back to the source audio, with the markers, cues and the rest moved back to where they were
+function revertTrackEdits(trackId) {
+    const track = tracks[trackId];
+    if (track?.edits.length) popTrackEdits(track, track.edits.length);
+}
+
+// Length of the buffer each edit was applied to
+function getEditInputDurations(track) {
+    let duration = getTrackSourceBuffer(track).duration;
+    return track.edits.map(edit => {
+        const input = duration;
+        duration = EDIT_TYPES[edit.type].getDuration?.(duration, edit) ?? duration;
+        return input;
+    });
+}
+
+// Takes the top count edits off the stack and maps buffer times back through the timing edits among them
+function popTrackEdits(track, count) {
+    const first = track.edits.length - count;
+    const durations = getEditInputDurations(track);
+    const removed = track.edits.slice(first).map((edit, i) => ({ edit, duration: durations[first + i] }));
+    const position = track.getPosition();
+    track.edits = track.edits.slice(0, first);
+    setTrackEditedBuffer(track, renderEditedBuffer(getTrackSourceBuffer(track), track.edits));
+    const timingEdits = removed.filter(({ edit }) => changesEditTimeline(edit));
+    if (timingEdits.length > 0) {
+        const map = (time) => timingEdits.reduceRight((t, { edit, duration }) => EDIT_TYPES[edit.type].unmapTime(t, edit, duration), time);
+        remapTrackTimes(track, map);
+        finishTimelineEdit(track, map(position));
+    } else {
+        if (track.isPlaying) track.restart();
+        drawWaveform(track.id);
+    }
+    renderEditList(track.id);
+}
+
+// Used by project loading and undo: the edits are already in the time of the saved markers
+function setTrackEdits(trackId, edits) {
+    const track = tracks[trackId];
+    track.edits = (edits || []).filter(edit => EDIT_TYPES[edit.type]).map(edit => ({ ...edit }));
+    rebuildTrackBuffer(trackId);
+    renderEditList(trackId);
+}
+
+function resetTrackEdits(trackId) {
+    const track = tracks[trackId];
+    track.edits = [];
+    renderEditList(trackId);
+}
+
+function createTrackEditFromControls(trackId) {
+    const track = tracks[trackId];
+    const type = track.editTypeSelect.value;
+    const definition = EDIT_TYPES[type];
+    let amount = null;
+    if (definition.amount) {
+        const value = parseFloat(track.editAmountInput.value);
+        amount = Math.max(definition.amount.min, Math.min(definition.amount.max, Number.isFinite(value) ? value : definition.amount.value));
+    }
+    return { type, ...definition.create(track, amount, track.editCurveSelect.value) };
+}
+
+// --- Edit Controls ---
+function fillEditTypeOptions(select) {
+    Object.entries(EDIT_TYPES).forEach(([type, { label }]) => select.add(new Option(label, type)));
+}
+
+function fillEditCurveOptions(select) {
+    Object.entries(EDIT_FADE_CURVES).forEach(([curve, { label }]) => select.add(new Option(label, curve)));
+}
+
+// Shows the amount and curve inputs the chosen edit type takes
+function updateEditControls(trackId) {
+    const track = tracks[trackId];
+    if (!track?.editTypeSelect) return;
+    const definition = EDIT_TYPES[track.editTypeSelect.value];
+    track.editAmountLabel.hidden = !definition.amount;
+    track.editAmountInput.hidden = !definition.amount;
+    if (definition.amount) {
+        track.editAmountLabel.textContent = `${definition.amount.label}:`;
+        track.editAmountInput.min = definition.amount.min;
+        track.editAmountInput.max = definition.amount.max;
+        track.editAmountInput.value = definition.amount.value;
+    }
+    track.editCurveSelect.hidden = !definition.curve;
+}
+
+function renderEditList(trackId) {
+    const track = tracks[trackId];
+    if (!track?.editList) return;
+    track.editList.innerHTML = '';
+    track.edits.forEach((edit, index) => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = EDIT_TYPES[edit.type].describe(edit);
+        const removable = canRemoveTrackEdit(track, index);
+        const removeButton = createEffectButton('✕', removable ? 'Remove edit' : 'Remove the edits after this one first', !removable,
+            () => withSnapshotHistory('edits', trackId, `Track ${trackId}: Remove ${EDIT_TYPES[edit.type].label.toLowerCase()}`,
+                () => removeTrackEdit(trackId, index)));
+        item.append(text, removeButton);
+        track.editList.appendChild(item);
+    });
+    const loaded = track.isLoaded;
+    track.editTypeSelect.disabled = !loaded;
+    track.applyEditButton.disabled = !loaded;
+    track.revertEditsButton.disabled = !loaded || track.edits.length === 0;
+}
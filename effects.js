@@ -0,0 +1,346 @@
+// --- Per-Track Effects Chain ---
+// Insertable EQ, filter, reverb and delay between each track's worklet and gain node:
+// soundtouchNode -> effectsInput -> [effects in order, bypassed ones skipped] -> gainNode
+
+const DEFAULT_EFFECT_BPM = 120; // Delay sync when neither the track nor the master has a BPM
+const FILTER_MIN_FREQUENCY = 20;
+const FILTER_MAX_FREQUENCY = 20000;
+const DELAY_MAX_SECONDS = 4;
+const DELAY_DIVISIONS = { '1/16': 0.25, '1/8': 0.5, '1/8d': 0.75, '1/4': 1, '1/2': 2, '1': 4 }; // In beats
+
+// Each definition builds its nodes on any BaseAudioContext, so the offline export can reuse it.
+// create() returns { input, output, update(params) }.
+const EFFECT_DEFINITIONS = {
+    eq: {
+        label: '3-Band EQ',
+        params: [
+            { name: 'low', label: 'Low (dB)', min: -40, max: 12, step: 0.5, value: 0 },
+            { name: 'mid', label: 'Mid (dB)', min: -40, max: 12, step: 0.5, value: 0 },
+            { name: 'high', label: 'High (dB)', min: -40, max: 12, step: 0.5, value: 0 }
+        ],
+        create(context) {
+            const low = new BiquadFilterNode(context, { type: 'lowshelf', frequency: 250 });
+            const mid = new BiquadFilterNode(context, { type: 'peaking', frequency: 1000, Q: 0.8 });
+            const high = new BiquadFilterNode(context, { type: 'highshelf', frequency: 4000 });
+            low.connect(mid);
+            mid.connect(high);
+            return {
+                input: low,
+                output: high,
+                update(params) {
+                    low.gain.value = params.low;
+                    mid.gain.value = params.mid;
+                    high.gain.value = params.high;
+                }
+            };
+        }
+    },
+    filter: {
+        label: 'Filter',
+        params: [
+            { name: 'type', label: 'Type', options: ['lowpass', 'highpass'], value: 'lowpass' },
+            { name: 'sweep', label: 'Sweep', min: 0, max: 1, step: 0.001, value: 1 },
+            { name: 'resonance', label: 'Resonance', min: 0.1, max: 20, step: 0.1, value: 1 }
+        ],
+        create(context) {
+            const filter = new BiquadFilterNode(context);
+            return {
+                input: filter,
+                output: filter,
+                filter, // Exposed so other modules can drive the cutoff
+                update(params) {
+                    filter.type = params.type;
+                    filter.frequency.value = getFilterFrequency(params.sweep);
+                    filter.Q.value = params.resonance;
+                }
+            };
+        }
+    },
+    reverb: {
+        label: 'Reverb',
+        params: [
+            { name: 'decay', label: 'Decay (s)', min: 0.2, max: 6, step: 0.1, value: 2 },
+            { name: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+        ],
+        create(context) {
+            const input = context.createGain();
+            const output = context.createGain();
+            const dry = context.createGain();
+            const wet = context.createGain();
+            const convolver = context.createConvolver();
+            input.connect(dry).connect(output);
+            input.connect(convolver).connect(wet).connect(output);
+            let currentDecay = null;
+            return {
+                input,
+                output,
+                update(params) {
+                    if (params.decay !== currentDecay) {
+                        convolver.buffer = createImpulseResponse(context, params.decay);
+                        currentDecay = params.decay;
+                    }
+                    dry.gain.value = 1 - params.mix;
+                    wet.gain.value = params.mix;
+                }
+            };
+        }
+    },
+    delay: {
+        label: 'Tempo Delay',
+        params: [
+            { name: 'division', label: 'Time', options: Object.keys(DELAY_DIVISIONS), value: '1/8d' },
+            { name: 'feedback', label: 'Feedback', min: 0, max: 0.95, step: 0.01, value: 0.4 },
+            { name: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+        ],
+        create(context, track) {
+            const input = context.createGain();
+            const output = context.createGain();
+            const dry = context.createGain();
+            const wet = context.createGain();
+            const delay = context.createDelay(DELAY_MAX_SECONDS);
+            const feedback = context.createGain();
+            input.connect(dry).connect(output);
+            input.connect(delay);
+            delay.connect(feedback).connect(delay);
+            delay.connect(wet).connect(output);
+            return {
+                input,
+                output,
+                update(params) {
+                    const beatSeconds = 60 / getTrackEffectBpm(track);
+                    delay.delayTime.value = Math.min(DELAY_MAX_SECONDS, beatSeconds * DELAY_DIVISIONS[params.division]);
+                    feedback.gain.value = params.feedback;
+                    dry.gain.value = 1 - params.mix;
+                    wet.gain.value = params.mix;
+                }
+            };
+        }
+    }
+};
+
+let nextEffectId = 1;
+
+// --- Helpers ---
+// Sweep 0..1 maps logarithmically onto the audible range
+function getFilterFrequency(sweep) {
+    return FILTER_MIN_FREQUENCY * Math.pow(FILTER_MAX_FREQUENCY / FILTER_MIN_FREQUENCY, sweep);
+}
+
+// Stereo exponentially decaying noise
+function createImpulseResponse(context, decaySeconds) {
+    const length = Math.max(1, Math.floor(decaySeconds * context.sampleRate));
+    const impulse = context.createBuffer(2, length, context.sampleRate);
+    for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+        }
+    }
+    return impulse;
+}
+
+// BPM the track is heard at: its own BPM at its tempo, else the master BPM
+function getTrackEffectBpm(track) {
+    if (track.bpm) return track.bpm * track.tempo;
+    const masterBpm = parseFloat(masterBpmInput.value);
+    return masterBpm > 0 ? masterBpm : DEFAULT_EFFECT_BPM;
+}
+
+function createEffectState(type, params = {}, bypassed = false) {
+    const definition = EFFECT_DEFINITIONS[type];
+    const defaults = Object.fromEntries(definition.params.map(p => [p.name, p.value]));
+    return { id: nextEffectId++, type, bypassed, params: { ...defaults, ...params }, nodes: null };
+}
+
+// --- Chain Wiring ---
+// Connects input through every active effect of the track to output, creating fresh nodes on `context`.
+// Used by the offline export; the live chain keeps its nodes in effect.nodes instead.
+// Returns a Map of effect -> the nodes created for it.
+function connectEffectsChain(context, track, input, output) {
+    const createdNodes = new Map();
+    let previous = input;
+    track.effects.forEach(effect => {
+        if (effect.bypassed) return;
+        const nodes = EFFECT_DEFINITIONS[effect.type].create(context, track);
+        nodes.update(effect.params);
+        createdNodes.set(effect, nodes);
+        previous.connect(nodes.input);
+        previous = nodes.output;
+    });
+    previous.connect(output);
+    return createdNodes;
+}
+
+// Re-wires the live chain after an effect is added, removed, reordered or (un)bypassed
+function rebuildEffectsChain(trackId) {
+    const track = tracks[trackId];
+    if (!track?.effectsInput || !track.gainNode) return;
+    track.effectsInput.disconnect();
+    track.effects.forEach(effect => effect.nodes?.output.disconnect());
+
+    let previous = track.effectsInput;
+    track.effects.forEach(effect => {
+        if (effect.bypassed) return;
+        if (!effect.nodes) {
+            effect.nodes = EFFECT_DEFINITIONS[effect.type].create(audioContext, track);
+            effect.nodes.update(effect.params);
+        }
+        previous.connect(effect.nodes.input);
+        previous = effect.nodes.output;
+    });
+    previous.connect(track.gainNode);
+}
+
+// Creates the node effects are inserted after; called when the track's worklet node is created
+function ensureEffectsInput(trackId) {
+    const track = tracks[trackId];
+    if (!track.effectsInput) {
+        track.effectsInput = audioContext.createGain();
+        rebuildEffectsChain(trackId);
+    }
+    return track.effectsInput;
+}
+
+function disconnectTrackEffects(track) {
+    track.effects.forEach(effect => {
+        effect.nodes?.input.disconnect();
+        effect.nodes?.output.disconnect();
+        effect.nodes = null;
+    });
+    if (track.effectsInput) {
+        track.effectsInput.disconnect();
+        track.effectsInput = null;
+    }
+}
+
+// Delay times follow the BPM, so refresh them whenever tempo or BPM changes
+function updateTempoSyncedEffects(trackId) {
+    const track = tracks[trackId];
+    track?.effects.forEach(effect => {
+        if (effect.type === 'delay' && effect.nodes) effect.nodes.update(effect.params);
+    });
+}
+
+// --- Effect Editing ---
+function addEffect(trackId, type, params, bypassed) {
+    const track = tracks[trackId];
+    if (!track || !EFFECT_DEFINITIONS[type]) return null;
+    const effect = createEffectState(type, params, bypassed);
+    track.effects.push(effect);
+    rebuildEffectsChain(trackId);
+    renderEffectsPanel(trackId);
+    return effect;
+}
+
+function removeEffect(trackId, effectId) {
+    const track = tracks[trackId];
+    const effect = track?.effects.find(e => e.id === effectId);
+    if (!effect) return;
+    effect.nodes?.input.disconnect();
+    effect.nodes?.output.disconnect();
+    track.effects = track.effects.filter(e => e !== effect);
+    rebuildEffectsChain(trackId);
+    renderEffectsPanel(trackId);
+}
+
+function moveEffect(trackId, effectId, direction) {
+    const track = tracks[trackId];
+    const index = track?.effects.findIndex(e => e.id === effectId);
+    const newIndex = index + direction;
+    if (index < 0 || newIndex < 0 || newIndex >= track.effects.length) return;
+    [track.effects[index], track.effects[newIndex]] = [track.effects[newIndex], track.effects[index]];
+    rebuildEffectsChain(trackId);
+    renderEffectsPanel(trackId);
+}
+
+function setEffectBypassed(trackId, effectId, bypassed) {
+    const effect = tracks[trackId]?.effects.find(e => e.id === effectId);
+    if (!effect) return;
+    effect.bypassed = bypassed;
+    rebuildEffectsChain(trackId);
+}
+
+function setEffectParam(trackId, effectId, name, value) {
+    const effect = tracks[trackId]?.effects.find(e => e.id === effectId);
+    if (!effect) return;
+    effect.params[name] = value;
+    if (effect.nodes) effect.nodes.update(effect.params);
+}
+
+// --- Effects Panel ---
+function renderEffectsPanel(trackId) {
+    const track = tracks[trackId];
+    if (!track?.effectsList) return;
+    track.effectsList.innerHTML = '';
+    track.effects.forEach((effect, index) => {
+        const definition = EFFECT_DEFINITIONS[effect.type];
+        const row = document.createElement('div');
+        row.className = 'effect';
+
+        const header = document.createElement('div');
+        header.className = 'effect-header';
+        const title = document.createElement('span');
+        title.className = 'effect-title';
+        title.textContent = definition.label;
+        const bypassId = `fx-${trackId}-${effect.id}-bypass`;
+        const bypassToggle = document.createElement('input');
+        bypassToggle.type = 'checkbox';
+        bypassToggle.id = bypassId;
+        bypassToggle.checked = effect.bypassed;
+        bypassToggle.addEventListener('change', () => setEffectBypassed(trackId, effect.id, bypassToggle.checked));
+        const bypassLabel = document.createElement('label');
+        bypassLabel.htmlFor = bypassId;
+        bypassLabel.textContent = 'Bypass';
+        header.append(title, bypassToggle, bypassLabel,
+            createEffectButton('▲', 'Move up', index === 0, () => withSnapshotHistory('effects', trackId,
+                `Track ${trackId}: Move ${definition.label} up`, () => moveEffect(trackId, effect.id, -1))),
+            createEffectButton('▼', 'Move down', index === track.effects.length - 1, () => withSnapshotHistory('effects', trackId,
+                `Track ${trackId}: Move ${definition.label} down`, () => moveEffect(trackId, effect.id, 1))),
+            createEffectButton('✕', 'Remove effect', false, () => withSnapshotHistory('effects', trackId,
+                `Track ${trackId}: Remove ${definition.label}`, () => removeEffect(trackId, effect.id))));
+        row.appendChild(header);
+
+        definition.params.forEach(param => {
+            const controlRow = document.createElement('div');
+            controlRow.className = 'control-row';
+            const inputId = `fx-${trackId}-${effect.id}-${param.name}`;
+            const label = document.createElement('label');
+            label.htmlFor = inputId;
+            label.textContent = `${param.label}:`;
+            let input;
+            if (param.options) {
+                input = document.createElement('select');
+                param.options.forEach(option => input.appendChild(new Option(option, option)));
+                input.value = effect.params[param.name];
+                input.addEventListener('change', () => setEffectParam(trackId, effect.id, param.name, input.value));
+            } else {
+                input = document.createElement('input');
+                input.type = 'range';
+                input.min = param.min;
+                input.max = param.max;
+                input.step = param.step;
+                input.value = effect.params[param.name];
+                input.addEventListener('input', () => setEffectParam(trackId, effect.id, param.name, parseFloat(input.value)));
+                // The filter cutoff lane records from the Filter effect that it drives
+                if (effect.type === 'filter' && param.name === 'sweep') {
+                    input.addEventListener('input', () => {
+                        if (getAutomatedFilter(track) === effect) writeAutomation(trackId, 'filter', parseFloat(input.value));
+                    });
+                }
+            }
+            input.id = inputId;
+            controlRow.append(label, input);
+            row.appendChild(controlRow);
+        });
+        track.effectsList.appendChild(row);
+    });
+}
+
+function createEffectButton(text, title, disabled, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', onClick);
+    return button;
+}
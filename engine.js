@@ -0,0 +1,472 @@
+// --- Audio Engine ---
+// The audio core without any DOM: context and worklet setup, per-track playback (region, loop, tempo, pitch,
+// volume), the shared transport and the master mix. The page (script.js) is one consumer; scripts and other
+// pages can drive the same API, and it runs in Node against a mocked AudioContext or an OfflineAudioContext.
+//
+//   const engine = new MashyEngine();               // or new MashyEngine({ context: offlineContext })
+//   await engine.init();
+//   const track = engine.loadTrack(audioBuffer, 'vocals.wav');
+//   track.setTempo(1.05);
+//   track.setPitch(-2);
+//   track.setRegion(4, 12);
+//   track.setLooping(true);
+//   engine.on('ended', ({ track }) => console.log(`Track ${track.id} finished`));
+//   engine.play();
+//
+// Events: engine.on(type, listener) returns a function that removes the listener, which is called with one
+// detail object. 'ready', 'statechange' { state }, 'mastervolume' { value }, 'trackadded' / 'trackremoved',
+// 'load', 'reset', 'region', 'ended' { track }, 'play' / 'stop' { track, when }, 'tempo' / 'pitch' / 'volume' /
+// 'loop' { track, value }. Failures are thrown (init rejects) with a `stage` of 'context', 'resume' or 'worklet'.
+
+const WORKLET_URL = 'soundtouch-worklet.js'; // Shipped with the project, works offline
+const WORKLET_NAME = 'soundtouch-processor';
+const TRANSPORT_LOOKAHEAD = 0.05; // Seconds between scheduling and the shared start time
+const VOLUME_RAMP_SECONDS = 0.05;
+
+class EngineEmitter {
+    constructor() {
+        this.listeners = new Map(); // Event type -> Set of listeners
+    }
+
+    on(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    // A throwing listener is logged and doesn't stop the others
+    emit(type, detail = {}) {
+        [...(this.listeners.get(type) || [])].forEach(listener => {
+            try {
+                listener(detail);
+            } catch (e) {
+                console.error(`Error in "${type}" listener:`, e);
+            }
+        });
+    }
+}
+
+// Options (all optional):
+//   context: an existing (e.g. offline) context to use instead of creating one
+//   masterVolume: initial master gain (default 1)
+//   AudioContext: constructor used to create the context
+//   worklet: false to play without the time-stretch worklet (tempo then also changes pitch; pitch is ignored)
+//   createWorkletNode(context, name): AudioWorkletNode factory, for mocks
+//   connectMaster(context, masterGain): routes the master gain; defaults to the destination
+//   connectTrackInput(track, node): routes a track's worklet output; defaults to the track's gain node
+//   connectTrackOutput(track): routes a track's gain node; defaults to the master gain
+class MashyEngine extends EngineEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            worklet: true,
+            createWorkletNode: (context, name) => new AudioWorkletNode(context, name),
+            connectMaster: (context, masterGain) => masterGain.connect(context.destination),
+            connectTrackInput: (track, node) => node.connect(track.gainNode),
+            connectTrackOutput: (track) => track.gainNode.connect(this.masterGain),
+            ...options
+        };
+        this.context = null;
+        this.masterGain = null;
+        this.masterVolume = options.masterVolume ?? 1;
+        this.isWorkletLoaded = false;
+        this.tracks = new Map(); // Track id -> EngineTrack
+        this.nextTrackId = 1;
+        this.transportOrigin = null; // Context time of beat 1 of the running transport's grid
+    }
+
+    get currentTime() {
+        return this.context ? this.context.currentTime : 0;
+    }
+
+    // Creates (or adopts) the context, resumes it and registers the worklet. Safe to call repeatedly.
+    async init() {
+        if (!this.context) this.createContext(this.options.context);
+        if (this.context.state === 'suspended') {
+            try {
+                await this.context.resume();
+            } catch (e) {
+                throw Object.assign(new Error("Could not resume the AudioContext."), { stage: 'resume', cause: e });
+            }
+        }
+        if (this.options.worklet && !this.isWorkletLoaded) {
+            try {
+                await this.loadWorklet(this.context);
+            } catch (e) {
+                throw Object.assign(new Error("Could not load the audio processing worklet."), { stage: 'worklet', cause: e });
+            }
+            this.isWorkletLoaded = true;
+        }
+        this.emit('ready');
+        return this;
+    }
+
+    createContext(existing) {
+        try {
+            const ContextClass = this.options.AudioContext || globalThis.AudioContext || globalThis.webkitAudioContext;
+            this.context = existing || new ContextClass();
+        } catch (e) {
+            throw Object.assign(new Error("Web Audio API is not supported or could not be initialized."), { stage: 'context', cause: e });
+        }
+        this.masterGain = this.context.createGain();
+        this.masterGain.gain.value = this.masterVolume;
+        this.options.connectMaster(this.context, this.masterGain);
+        this.context.addEventListener?.('statechange', () => this.emit('statechange', { state: this.context.state }));
+    }
+
+    // Registers WORKLET_NAME on the given (realtime or offline) context. Only the local module is used: playback
+    // relies on it cancelling the pitch change of the source's playbackRate, which other soundtouch builds don't do.
+    async loadWorklet(context) {
+        console.log(`Loading AudioWorklet module from: ${WORKLET_URL}`);
+        await context.audioWorklet.addModule(WORKLET_URL);
+    }
+
+    // --- Tracks ---
+    addTrack(id = this.nextTrackId) {
+        if (this.tracks.has(id)) throw new Error(`Track ${id} already exists.`);
+        const track = new EngineTrack(this, id);
+        this.tracks.set(id, track);
+        this.nextTrackId = Math.max(this.nextTrackId, id + 1);
+        this.emit('trackadded', { track });
+        return track;
+    }
+
+    getTrack(id) {
+        return this.tracks.get(Number(id)) || null;
+    }
+
+    removeTrack(id) {
+        const track = this.getTrack(id);
+        if (!track) return;
+        track.reset(); // Releases everything but the gain node
+        track.gainNode?.disconnect();
+        track.gainNode = null;
+        this.tracks.delete(track.id);
+        this.emit('trackremoved', { track });
+    }
+
+    // Removes every track and starts numbering from 1 again
+    reset() {
+        [...this.tracks.keys()].forEach(id => this.removeTrack(id));
+        this.nextTrackId = 1;
+        this.transportOrigin = null;
+    }
+
+    // Adds a track with the buffer loaded into it
+    loadTrack(buffer, fileName = null) {
+        const track = this.addTrack();
+        track.loadBuffer(buffer, fileName);
+        return track;
+    }
+
+    // --- Transport and Mix ---
+    // Next time all tracks can start together. While something is already playing, the time is quantized to
+    // the next multiple of gridSeconds (a beat or bar, if given) counted from transportOrigin.
+    getTransportStartTime(gridSeconds = null) {
+        const earliest = this.currentTime + TRANSPORT_LOOKAHEAD;
+        const anyPlaying = [...this.tracks.values()].some(t => t.isPlaying);
+        if (!anyPlaying || this.transportOrigin === null) {
+            this.transportOrigin = earliest; // Fresh start defines a new grid
+            return earliest;
+        }
+        if (!gridSeconds) return earliest;
+        const steps = Math.ceil((earliest - this.transportOrigin) / gridSeconds);
+        return this.transportOrigin + steps * gridSeconds;
+    }
+
+    // Puts beat 1 of the transport's grid at when, for playback scheduled outside play() (e.g. an arrangement)
+    setTransportOrigin(when) {
+        this.transportOrigin = when;
+    }
+
+    // Starts every loaded, stopped track at the same context time
+    play(when = this.getTransportStartTime()) {
+        this.tracks.forEach(track => { if (track.isLoaded && !track.isPlaying) track.play(when); });
+    }
+
+    stop(when = this.currentTime + TRANSPORT_LOOKAHEAD) {
+        this.tracks.forEach(track => { if (track.isPlaying) track.stop(when); });
+    }
+
+    get isPlaying() {
+        return [...this.tracks.values()].some(t => t.isPlaying);
+    }
+
+    setMasterVolume(value) {
+        this.masterVolume = value;
+        if (this.masterGain) this.masterGain.gain.linearRampToValueAtTime(value, this.currentTime + VOLUME_RAMP_SECONDS);
+        this.emit('mastervolume', { value });
+    }
+}
+
+class EngineTrack {
+    constructor(engine, id) {
+        this.engine = engine;
+        this.id = id;
+        this.buffer = null; // Buffer being played
+        this.fileName = null; // Name of the loaded file, if any
+        this.sourceNode = null; // Plays the buffer into inputNode
+        this.soundtouchNode = null; // The AudioWorkletNode instance
+        this.inputNode = null; // Where sources connect: the worklet, or a plain gain node without one
+        this.gainNode = null; // Track volume, created with the first nodes
+        this.volume = 1;
+        this.tempo = 1.0;
+        this.pitchSemitones = 0.0;
+        this.isPlaying = false;
+        this.isLoaded = false;
+        this.isLooping = false;
+        this.startTime = 0; // Loop/segment start time
+        this.endTime = 0; // Loop/segment end time
+        this.playbackStartTime = 0; // Context time playback (was scheduled to) start
+        this.playbackOffset = 0; // Offset within the buffer when starting/resuming
+        this.positionAnchorTime = 0; // Context time of the last start or tempo change
+        this.positionAnchorOffset = 0; // Buffer position at positionAnchorTime
+    }
+
+    get context() {
+        return this.engine.context;
+    }
+
+    loadBuffer(buffer, fileName = null) {
+        if (this.isPlaying) this.stop();
+        this.buffer = buffer;
+        this.fileName = fileName;
+        this.isLoaded = true;
+        this.startTime = 0;
+        this.endTime = buffer.duration;
+        this.playbackOffset = 0;
+        this.engine.emit('load', { track: this });
+    }
+
+    // Stops playback and empties the track; its nodes are released apart from the gain node
+    reset() {
+        if (this.isPlaying) this.stop();
+        if (this.sourceNode) {
+            try { this.sourceNode.stop(); } catch (e) {}
+            this.sourceNode.disconnect();
+            this.sourceNode.onended = null;
+            this.sourceNode = null;
+        }
+        if (this.inputNode) {
+            this.inputNode.disconnect();
+            this.inputNode = null;
+            this.soundtouchNode = null; // Cannot remove parameters once created, but node will be garbage collected
+        }
+        if (this.gainNode) this.gainNode.gain.value = this.volume;
+        this.isPlaying = false;
+        this.isLoaded = false;
+        this.buffer = null;
+        this.fileName = null;
+        this.startTime = 0;
+        this.endTime = 0;
+        this.playbackOffset = 0;
+        this.tempo = 1.0;
+        this.pitchSemitones = 0.0;
+        this.isLooping = false;
+        this.engine.emit('reset', { track: this });
+    }
+
+    // Creates the gain node on first use and hands it to connectTrackOutput
+    ensureOutput() {
+        if (this.gainNode) return;
+        this.gainNode = this.context.createGain();
+        this.gainNode.gain.value = this.volume;
+        this.engine.options.connectTrackOutput(this);
+    }
+
+    // Creates the gain and input nodes on first use. Throws if the worklet node can't be created.
+    ensureNodes() {
+        this.ensureOutput();
+        if (this.inputNode) return;
+        if (this.engine.isWorkletLoaded) {
+            console.log(`Creating AudioWorkletNode ('${WORKLET_NAME}') for track ${this.id}`);
+            this.soundtouchNode = this.engine.options.createWorkletNode(this.context, WORKLET_NAME);
+            this.soundtouchNode.parameters.get('tempo').value = this.tempo;
+            this.soundtouchNode.parameters.get('pitchSemitones').value = this.pitchSemitones;
+            this.inputNode = this.soundtouchNode;
+        } else {
+            this.inputNode = this.context.createGain();
+        }
+        this.engine.options.connectTrackInput(this, this.inputNode);
+    }
+
+    // --- Playback ---
+    // when: context time at which playback starts (defaults to now). Returns true if it started.
+    play(when = this.engine.currentTime) {
+        if (!this.isLoaded || this.isPlaying || !this.context) return false;
+        when = Math.max(when, this.context.currentTime);
+        if (this.startTime >= this.endTime) { console.warn("Start time is not before end time."); return false; }
+        console.log(`Track ${this.id}: Starting...`);
+        // Ensure playbackOffset is valid before starting
+        if (this.playbackOffset < this.startTime || this.playbackOffset >= this.endTime) {
+            this.playbackOffset = this.startTime; // Reset to start if invalid or past end
+        }
+        this.ensureNodes();
+
+        const sourceNode = this.context.createBufferSource();
+        sourceNode.buffer = this.buffer;
+        // Tempo is applied by the source's rate; the worklet cancels the resulting pitch change
+        sourceNode.playbackRate.value = this.tempo;
+        sourceNode.connect(this.inputNode);
+        sourceNode.loop = this.isLooping;
+        if (this.isLooping) {
+            sourceNode.loopStart = this.startTime;
+            sourceNode.loopEnd = this.endTime;
+        }
+
+        this.playbackStartTime = when;
+        this.positionAnchorTime = when;
+        this.positionAnchorOffset = this.playbackOffset;
+        try {
+            // Looping sources ignore the duration; one-shots play to the end marker
+            if (this.isLooping) {
+                console.log(`Track ${this.id}: Starting looped playback from offset ${this.playbackOffset.toFixed(3)}`);
+                sourceNode.start(when, this.playbackOffset);
+            } else {
+                console.log(`Track ${this.id}: Starting single playback from offset ${this.playbackOffset.toFixed(3)} for duration ${(this.endTime - this.playbackOffset).toFixed(3)}`);
+                sourceNode.start(when, this.playbackOffset, this.endTime - this.playbackOffset);
+            }
+        } catch (e) {
+            console.error(`Track ${this.id}: Error starting source node:`, e);
+            sourceNode.disconnect();
+            return false;
+        }
+        this.sourceNode = sourceNode;
+        this.isPlaying = true;
+
+        // Only one-shots end by themselves; a stopped or replaced source is ignored
+        sourceNode.onended = () => {
+            if (this.sourceNode !== sourceNode || !this.isPlaying || this.isLooping) return;
+            console.log(`Track ${this.id}: Playback ended naturally.`);
+            this.stop();
+            this.playbackOffset = this.startTime; // Next play starts from the top of the region
+            this.engine.emit('ended', { track: this });
+        };
+        this.engine.emit('play', { track: this, when });
+        return true;
+    }
+
+    // when: context time at which playback stops (defaults to now); the position is kept for the next play
+    stop(when = this.engine.currentTime) {
+        if (!this.isPlaying || !this.context) return false;
+        when = Math.max(when, this.context.currentTime);
+        console.log(`Track ${this.id}: Stopping...`);
+        // Tempo- and loop-aware position, read while the source's loop flag is still known
+        this.playbackOffset = this.getPosition(when);
+        if (this.sourceNode) {
+            const stoppingNode = this.sourceNode;
+            try {
+                // Disconnect from the input node only once the scheduled stop has happened
+                stoppingNode.onended = () => stoppingNode.disconnect();
+                stoppingNode.stop(when);
+            } catch (e) { console.warn("Error stopping source node:", e.message); }
+            this.sourceNode = null;
+        }
+        this.playbackOffset = Math.max(this.startTime, Math.min(this.endTime, this.playbackOffset));
+        if (this.playbackOffset >= this.endTime) this.playbackOffset = this.startTime; // Loop back if stopped exactly at end
+        this.isPlaying = false;
+        this.engine.emit('stop', { track: this, when });
+        return true;
+    }
+
+    toggle(when) {
+        return this.isPlaying ? this.stop(when) : this.play(when);
+    }
+
+    // The old source stops and the new one starts at the same scheduled time, so there is no gap.
+    // offset, if given, replaces the position the stop would resume from; when defaults to just ahead of now.
+    restart(offset, when = this.engine.currentTime + TRANSPORT_LOOKAHEAD) {
+        if (!this.isPlaying) return;
+        console.log(`Track ${this.id}: Stopping and restarting playback.`);
+        this.stop(when);
+        if (offset !== undefined) this.playbackOffset = offset;
+        this.play(when);
+    }
+
+    // Moves the playhead, restarting a playing track there
+    seek(offset) {
+        const position = Math.max(this.startTime, Math.min(this.endTime, offset));
+        if (this.isPlaying) this.restart(position);
+        else this.playbackOffset = position;
+    }
+
+    // --- Position Model ---
+    // Position advances at the track's tempo (the source's playbackRate) from the last anchor, and wraps inside
+    // startTime/endTime while looping. atTime may lie in the near future for scheduled stops.
+    getPosition(atTime = this.engine.currentTime) {
+        if (!this.isPlaying || !this.context) return this.playbackOffset;
+        const elapsed = Math.max(0, atTime - this.positionAnchorTime);
+        const rawPosition = this.positionAnchorOffset + elapsed * this.tempo;
+        const loopLength = this.endTime - this.startTime;
+        if (this.sourceNode?.loop && loopLength > 0 && rawPosition >= this.endTime) {
+            return this.startTime + ((rawPosition - this.startTime) % loopLength);
+        }
+        return Math.min(rawPosition, this.endTime);
+    }
+
+    // Called before anything that changes the rate at which the position advances
+    reanchor() {
+        if (!this.isPlaying || !this.context) return;
+        if (this.context.currentTime < this.positionAnchorTime) return; // Scheduled start hasn't happened yet
+        this.positionAnchorOffset = this.getPosition();
+        this.positionAnchorTime = this.context.currentTime;
+    }
+
+    // Semitones the track sounds shifted by. The worklet cancels the pitch change of the source's playbackRate
+    // and applies pitchSemitones; without it, tempo moves the pitch like a turntable and pitchSemitones does nothing.
+    getPitchShift() {
+        return this.engine.isWorkletLoaded ? this.pitchSemitones : 12 * Math.log2(this.tempo);
+    }
+
+    // --- Settings ---
+    setTempo(tempo) {
+        this.reanchor(); // Integrate the old tempo up to now
+        this.tempo = tempo;
+        if (this.sourceNode) this.sourceNode.playbackRate.value = tempo;
+        const tempoParam = this.soundtouchNode?.parameters.get('tempo');
+        if (tempoParam) tempoParam.value = tempo;
+        this.engine.emit('tempo', { track: this, value: tempo });
+    }
+
+    setPitch(semitones) {
+        this.pitchSemitones = semitones;
+        const pitchParam = this.soundtouchNode?.parameters.get('pitchSemitones');
+        if (pitchParam) pitchParam.value = semitones;
+        this.engine.emit('pitch', { track: this, value: semitones });
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.gainNode) this.gainNode.gain.linearRampToValueAtTime(volume, this.engine.currentTime + VOLUME_RAMP_SECONDS);
+        this.engine.emit('volume', { track: this, value: volume });
+    }
+
+    // A playing source can't change its loop flag, so it is replaced
+    setLooping(looping) {
+        this.isLooping = looping;
+        console.log(`Track ${this.id}: Loop toggled to ${looping}`);
+        if (this.isPlaying) this.restart();
+        this.engine.emit('loop', { track: this, value: looping });
+    }
+
+    // Sets the start/end markers (clamped to the buffer); a playing track picks them up straight away
+    setRegion(start, end) {
+        if (!this.buffer) return;
+        const duration = this.buffer.duration;
+        this.startTime = Math.max(0, Math.min(start, duration));
+        this.endTime = Math.max(this.startTime, Math.min(end, duration));
+        if (this.isPlaying) {
+            const position = this.getPosition(this.engine.currentTime + TRANSPORT_LOOKAHEAD); // Where restart() resumes
+            this.restart(position >= this.startTime && position < this.endTime ? position : this.startTime);
+        }
+        this.engine.emit('region', { track: this });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MashyEngine, EngineTrack, EngineEmitter, WORKLET_NAME, TRANSPORT_LOOKAHEAD };
+}
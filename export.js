@@ -0,0 +1,247 @@
+// --- Mix Export (Offline Render + WAV Encoding) ---
+// Re-creates every loaded track's chain in an OfflineAudioContext and downloads the result as a WAV file.
+
+const EXPORT_CHANNELS = 2;
+
+// --- DOM Element References ---
+const exportMixButton = document.getElementById('export-mix');
+const exportBitDepthSelect = document.getElementById('export-bit-depth');
+const exportLengthInput = document.getElementById('export-length');
+
+exportMixButton.addEventListener('click', exportMix);
+
+// --- Export Action ---
+async function exportMix() {
+    const loadedTracks = Object.values(tracks).filter(t => t?.isLoaded && t.buffer);
+    if (loadedTracks.length === 0) {
+        alert("Load at least one track before exporting.");
+        return;
+    }
+
+    const sampleRate = audioContext ? audioContext.sampleRate : loadedTracks[0].buffer.sampleRate;
+    const requestedLength = parseFloat(exportLengthInput.value);
+    const useArrangement = arrangementModeToggle.checked && hasArrangementClips();
+    const automaticLength = useArrangement ? getArrangementEnd() : getAutomaticMixDuration(loadedTracks);
+    const mixDuration = requestedLength > 0 ? requestedLength : automaticLength;
+    if (!(mixDuration > 0)) {
+        alert("Nothing to export: every track's start/end region is empty.");
+        return;
+    }
+
+    exportMixButton.disabled = true;
+    exportMixButton.textContent = 'Rendering...';
+    try {
+        console.log(`Rendering mix offline: ${loadedTracks.length} track(s), ${mixDuration.toFixed(2)}s at ${sampleRate} Hz`);
+        const renderedBuffer = await renderMixOffline(loadedTracks, mixDuration, sampleRate, useArrangement);
+        const wavData = encodeWav(renderedBuffer, exportBitDepthSelect.value);
+        downloadBlob(new Blob([wavData], { type: 'audio/wav' }), `mashup-${Date.now()}.wav`);
+        console.log("Mix export finished.");
+    } catch (e) {
+        console.error("Error exporting mix:", e);
+        alert(`Export failed: ${e.message}`);
+    } finally {
+        exportMixButton.textContent = 'Export Mix';
+        checkMasterPlayEnable();
+    }
+}
+
+// Longest non-looping segment; if every track loops, one pass of the longest loop.
+function getAutomaticMixDuration(loadedTracks) {
+    const segmentDurations = loadedTracks.map(t => ({
+        looping: t.isLooping,
+        duration: Math.max(0, t.endTime - t.startTime) / (t.tempo || 1)
+    }));
+    const oneShots = segmentDurations.filter(s => !s.looping);
+    const candidates = oneShots.length > 0 ? oneShots : segmentDurations;
+    return Math.max(0, ...candidates.map(s => s.duration));
+}
+
+// --- Offline Rendering ---
+// useArrangement: render the arrangement timeline's clips instead of each track's start/end region
+async function renderMixOffline(loadedTracks, mixDuration, sampleRate, useArrangement = false) {
+    const length = Math.ceil(mixDuration * sampleRate);
+    const offlineContext = new OfflineAudioContext(EXPORT_CHANNELS, length, sampleRate);
+    const workletAvailable = await loadOfflineWorklet(offlineContext);
+
+    const offlineMasterGain = offlineContext.createGain();
+    offlineMasterGain.gain.value = parseFloat(masterVolumeSlider.value);
+    connectThroughLimiter(offlineContext, offlineMasterGain, offlineContext.destination);
+
+    const playedTracks = loadedTracks.filter(track => !useArrangement || track.clips.length > 0);
+    const sidechains = new Map(); // Source track -> its rendered audio, for tracks ducked by it
+    for (const track of playedTracks) {
+        const chain = scheduleOfflineTrack(offlineContext, track, offlineMasterGain, workletAvailable, mixDuration, useArrangement);
+        const source = track.duckSource !== DUCK_PUMP_SOURCE && tracks[track.duckSource];
+        if (!source || !playedTracks.includes(source)) continue;
+        if (!sidechains.has(source)) {
+            console.log(`Rendering Track ${source.id} on its own as the ducking source for Track ${track.id}`);
+            sidechains.set(source, await renderTrackOffline(source, mixDuration, sampleRate, useArrangement));
+        }
+        scheduleOfflineFollower(track, chain.duckParam, sidechains.get(source));
+    }
+
+    return offlineContext.startRendering();
+}
+
+// One track as its meter hears it during playback (after volume, crossfader and pump, before the master).
+// A ducking source's own follower isn't applied.
+async function renderTrackOffline(track, mixDuration, sampleRate, useArrangement) {
+    const offlineContext = new OfflineAudioContext(EXPORT_CHANNELS, Math.ceil(mixDuration * sampleRate), sampleRate);
+    const workletAvailable = await loadOfflineWorklet(offlineContext);
+    scheduleOfflineTrack(offlineContext, track, offlineContext.destination, workletAvailable, mixDuration, useArrangement);
+    return offlineContext.startRendering();
+}
+
+// The worklet has to be registered on each offline context separately. Resolves to whether it could be.
+async function loadOfflineWorklet(offlineContext) {
+    try {
+        await engine.loadWorklet(offlineContext);
+        return true;
+    } catch (e) {
+        console.warn("Could not load AudioWorklet module into OfflineAudioContext:", e);
+        return false;
+    }
+}
+
+// Builds the track's chain into destination and schedules its region (or arrangement clips), automation and
+// pump. Returns the chain (see createOfflineTrackChain).
+function scheduleOfflineTrack(offlineContext, track, destination, workletAvailable, mixDuration, useArrangement) {
+    const needsWorklet = track.tempo !== 1 || track.pitchSemitones !== 0
+        || (!useArrangement && (hasAutomation(track, 'tempo') || hasAutomation(track, 'pitch')));
+    if (needsWorklet && !workletAvailable) {
+        throw new Error(`Track ${track.id} uses tempo/pitch changes but the processing module could not be loaded.`);
+    }
+    const chain = createOfflineTrackChain(offlineContext, track, destination, workletAvailable);
+    scheduleOfflinePump(track, chain.duckParam, mixDuration);
+    if (useArrangement) {
+        scheduleTrackClips(offlineContext, track, chain.input, 0, 0, [], mixDuration);
+    } else {
+        const sourceNode = scheduleOfflineSegment(offlineContext, track, chain.input, mixDuration);
+        if (sourceNode) {
+            chain.automationTargets.tempo.params.push(sourceNode.playbackRate);
+            scheduleOfflineAutomation(track, chain.automationTargets, mixDuration);
+        }
+    }
+    return chain;
+}
+
+// Mirrors the live chain: soundtouch worklet -> effects -> track gain -> master gain.
+// Returns { input, automationTargets, duckParam }: the node sources connect to, the params each automation lane
+// drives, and the ducking gain.
+function createOfflineTrackChain(offlineContext, track, destination, useWorklet) {
+    const crossfadeGain = getCrossfadeGain(track);
+    const trackGain = offlineContext.createGain();
+    trackGain.gain.value = parseFloat(track.volumeSlider.value) * crossfadeGain;
+    // Offline stand-in for the live duckGainNode, driven by the pump or the follower
+    const duckGain = offlineContext.createGain();
+    trackGain.connect(duckGain).connect(destination);
+
+    const effectsInput = offlineContext.createGain();
+    const effectNodes = connectEffectsChain(offlineContext, track, effectsInput, trackGain);
+    const filterNodes = effectNodes.get(getAutomatedFilter(track));
+    const automationTargets = {
+        volume: { params: [trackGain.gain], map: (v) => v * crossfadeGain },
+        tempo: { params: [] },
+        filter: { params: filterNodes ? [filterNodes.filter.frequency] : [], map: getFilterFrequency }
+    };
+
+    let chainInput = effectsInput;
+    if (useWorklet) {
+        const soundtouchNode = new AudioWorkletNode(offlineContext, WORKLET_NAME);
+        soundtouchNode.parameters.get('tempo').value = track.tempo;
+        soundtouchNode.parameters.get('pitchSemitones').value = track.pitchSemitones;
+        soundtouchNode.connect(effectsInput);
+        chainInput = soundtouchNode;
+        automationTargets.tempo.params.push(soundtouchNode.parameters.get('tempo'));
+        automationTargets.pitch = { params: [soundtouchNode.parameters.get('pitchSemitones')] };
+    }
+    return { input: chainInput, automationTargets, duckParam: duckGain.gain };
+}
+
+// Plays the track's start/end region once, or loops it for the whole mix. Returns the source node, or null when
+// the region is empty.
+function scheduleOfflineSegment(offlineContext, track, chainInput, mixDuration) {
+    const segmentDuration = track.endTime - track.startTime;
+    if (segmentDuration <= 0) return null;
+
+    const sourceNode = offlineContext.createBufferSource();
+    sourceNode.buffer = track.buffer;
+    sourceNode.playbackRate.value = track.tempo; // As in live playback; the worklet corrects the pitch
+    sourceNode.connect(chainInput);
+
+    if (track.isLooping) {
+        sourceNode.loop = true;
+        sourceNode.loopStart = track.startTime;
+        sourceNode.loopEnd = track.endTime;
+        sourceNode.start(0, track.startTime);
+        sourceNode.stop(mixDuration);
+    } else {
+        sourceNode.start(0, track.startTime, segmentDuration); // Duration is in buffer time
+    }
+    return sourceNode;
+}
+
+// --- WAV Encoding ---
+// bitDepth: '16' or '24' for integer PCM, '32f' for IEEE float
+function encodeWav(audioBuffer, bitDepth) {
+    const isFloat = bitDepth === '32f';
+    const bytesPerSample = isFloat ? 4 : parseInt(bitDepth, 10) / 8;
+    const numChannels = audioBuffer.numberOfChannels;
+    const numFrames = audioBuffer.length;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    const arrayBuffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(arrayBuffer);
+
+    writeAscii(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeAscii(view, 8, 'WAVE');
+    writeAscii(view, 12, 'fmt ');
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, isFloat ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, audioBuffer.sampleRate, true);
+    view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeAscii(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = [];
+    for (let c = 0; c < numChannels; c++) channels.push(audioBuffer.getChannelData(c));
+
+    let offset = 44;
+    for (let i = 0; i < numFrames; i++) {
+        for (let c = 0; c < numChannels; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            if (isFloat) {
+                view.setFloat32(offset, channels[c][i], true);
+            } else if (bytesPerSample === 2) {
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            } else {
+                const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7FFFFF);
+                view.setUint8(offset, value & 0xFF);
+                view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                view.setUint8(offset + 2, (value >> 16) & 0xFF);
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return arrayBuffer;
+}
+
+function writeAscii(view, offset, text) {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
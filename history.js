@@ -0,0 +1,313 @@
+// --- Undo/Redo History ---
+// Every edit is a command { label, undo(), redo() }. Form controls are recorded generically from the
+// user's change events (before values remembered on focus/pointerdown); edits made outside form controls
+// (markers, hot cues, effect rack, automation, clip edits, slices, arrangement) record before/after snapshots of the state they touch.
+// Repeated edits of the same thing in quick succession (slider drags, knob turns, nudges) coalesce.
+
+const HISTORY_LIMIT = 200;
+const HISTORY_COALESCE_MS = 1000;
+const HISTORY_MASTER_CONTROLS = '#master-volume, #master-bpm, #quantize, #crossfader, #crossfader-curve, '
+    + '#limiter-enable, #limiter-threshold, #arrangement-mode, #arrangement-length';
+const HISTORY_TRACK_CONTROLS = '.volume, .tempo, .pitch, .loop-toggle, .bpm, .downbeat, .crossfader-side, '
+    + '.hot-cue-quantize, .stem-source, .sampler-toggle, .duck-source, .duck-threshold, .duck-amount, .duck-attack, .duck-release, '
+    + '.effect input, .effect select';
+const HISTORY_CONTROL_LABELS = {
+    volume: 'Volume', tempo: 'Tempo', pitch: 'Pitch', 'loop-toggle': 'Loop', bpm: 'BPM', downbeat: 'Downbeat',
+    'crossfader-side': 'Crossfader side', 'hot-cue-quantize': 'Snap cues', 'stem-source': 'Source', 'sampler-toggle': 'Pads',
+    'duck-source': 'Duck by', 'duck-threshold': 'Duck threshold', 'duck-amount': 'Duck depth', 'duck-attack': 'Duck attack',
+    'duck-release': 'Duck release'
+};
+
+// --- DOM Element References ---
+const undoButton = document.getElementById('undo');
+const redoButton = document.getElementById('redo');
+const historyList = document.getElementById('history-list');
+
+const editHistory = {
+    undoStack: [],
+    redoStack: [],
+    isApplying: false, // Set while undoing/redoing so the replayed changes aren't recorded again
+    knownValues: new Map() // Control id -> value before the user's current edit
+};
+
+// --- Core ---
+function recordHistory(command) {
+    if (editHistory.isApplying) return;
+    const now = performance.now();
+    const last = editHistory.undoStack[editHistory.undoStack.length - 1];
+    if (command.coalesceKey && last?.coalesceKey === command.coalesceKey && now - last.time < HISTORY_COALESCE_MS) {
+        last.redo = command.redo; // Keep the original undo, extend to the newest state
+        last.time = now;
+    } else {
+        editHistory.undoStack.push({ ...command, time: now });
+        if (editHistory.undoStack.length > HISTORY_LIMIT) editHistory.undoStack.shift();
+    }
+    editHistory.redoStack = [];
+    renderHistoryList();
+}
+
+function applyHistoryStep(fromStack, toStack, method) {
+    const command = fromStack.pop();
+    if (!command) return;
+    editHistory.isApplying = true;
+    try {
+        command[method]();
+    } catch (e) {
+        console.error(`Could not ${method} "${command.label}":`, e);
+    } finally {
+        editHistory.isApplying = false;
+    }
+    command.coalesceKey = null; // A replayed step never absorbs the next edit
+    toStack.push(command);
+    renderHistoryList();
+}
+
+function undo() {
+    applyHistoryStep(editHistory.undoStack, editHistory.redoStack, 'undo');
+}
+
+function redo() {
+    applyHistoryStep(editHistory.redoStack, editHistory.undoStack, 'redo');
+}
+
+// Project loads start a fresh history
+function clearHistory() {
+    editHistory.undoStack = [];
+    editHistory.redoStack = [];
+    editHistory.knownValues.clear();
+    renderHistoryList();
+}
+
+// --- Form Controls ---
+function isHistoryControl(element) {
+    if (!element?.id || !element.matches) return false;
+    return element.matches(HISTORY_MASTER_CONTROLS) || (!!element.closest('.track') && element.matches(HISTORY_TRACK_CONTROLS));
+}
+
+function getControlValue(element) {
+    return element.type === 'checkbox' ? element.checked : element.value;
+}
+
+// Sets the value and fires the events its handlers listen to (synthetic, so not recorded again)
+function setControlValue(controlId, value) {
+    const element = document.getElementById(controlId);
+    if (!element) return;
+    if (element.type === 'checkbox') element.checked = value;
+    else element.value = value;
+    editHistory.knownValues.set(controlId, value);
+    element.dispatchEvent(new Event('input'));
+    element.dispatchEvent(new Event('change'));
+}
+
+function describeControl(element) {
+    const trackElement = element.closest('.track');
+    const className = Object.keys(HISTORY_CONTROL_LABELS).find(c => element.classList.contains(c));
+    const name = className ? HISTORY_CONTROL_LABELS[className]
+        : (element.labels?.[0]?.textContent || element.id).replace(/[:(].*$/s, '').trim();
+    const trackTitle = trackElement?.querySelector('.track-title')?.textContent;
+    return trackTitle ? `${trackTitle}: ${name}` : name;
+}
+
+// Records a control that changed from before to its current value; used directly for programmatic edits
+function recordControlEdit(element, before, label = describeControl(element)) {
+    const after = getControlValue(element);
+    editHistory.knownValues.set(element.id, after);
+    if (before === undefined || String(before) === String(after)) return;
+    const controlId = element.id;
+    recordHistory({
+        label,
+        coalesceKey: `control:${controlId}`,
+        undo: () => setControlValue(controlId, before),
+        redo: () => setControlValue(controlId, after)
+    });
+}
+
+// One step for several controls changed together, e.g. by Sync Tempos. edits: [{ element, before }]
+function recordControlEdits(label, edits) {
+    const changes = edits
+        .map(({ element, before }) => ({ controlId: element.id, before, after: getControlValue(element) }))
+        .filter(c => String(c.before) !== String(c.after));
+    changes.forEach(c => editHistory.knownValues.set(c.controlId, c.after));
+    if (changes.length === 0) return;
+    recordHistory({
+        label,
+        undo: () => changes.forEach(c => setControlValue(c.controlId, c.before)),
+        redo: () => changes.forEach(c => setControlValue(c.controlId, c.after))
+    });
+}
+
+function rememberControlValue(element) {
+    if (isHistoryControl(element)) editHistory.knownValues.set(element.id, getControlValue(element));
+}
+
+// --- Snapshot Edits ---
+// Each kind captures and re-applies one slice of a track's (or the arrangement's) state
+const HISTORY_SNAPSHOTS = {
+    region: {
+        capture: (track) => ({ startTime: track.startTime, endTime: track.endTime, isLooping: track.isLooping }),
+        apply: (track, state) => {
+            Object.assign(track, state);
+            track.loopToggle.checked = state.isLooping;
+            if (track.isPlaying) track.restart();
+            drawWaveform(track.id);
+        }
+    },
+    hotCues: {
+        capture: (track) => [...track.hotCues],
+        apply: (track, state) => {
+            track.hotCues = [...state];
+            updateHotCueButtons(track.id);
+            drawWaveform(track.id);
+        }
+    },
+    // Keeps the effect objects so their ids (and the panel's control ids) survive undo
+    effects: {
+        capture: (track) => track.effects.map(effect => ({ effect, bypassed: effect.bypassed, params: { ...effect.params } })),
+        apply: (track, state) => {
+            const restored = state.map(s => s.effect);
+            track.effects.forEach(effect => {
+                if (restored.includes(effect)) return;
+                effect.nodes?.input.disconnect();
+                effect.nodes?.output.disconnect();
+            });
+            // Nodes of removed effects were disconnected internally too, so rebuild those
+            restored.forEach(effect => { if (!track.effects.includes(effect)) effect.nodes = null; });
+            state.forEach(s => {
+                s.effect.bypassed = s.bypassed;
+                s.effect.params = { ...s.params };
+                s.effect.nodes?.update(s.effect.params);
+            });
+            track.effects = restored;
+            rebuildEffectsChain(track.id);
+            renderEffectsPanel(track.id);
+        }
+    },
+    automation: {
+        capture: (track) => cloneAutomation(track.automation),
+        apply: (track, state) => {
+            track.automation = cloneAutomation(state);
+            releaseAutomation(track);
+            drawWaveform(track.id);
+        }
+    },
+    slices: {
+        capture: (track) => ({ slices: track.slices.map(s => ({ ...s })), chokeGroups: [...track.padChokeGroups] }),
+        apply: (track, state) => {
+            track.slices = state.slices.map(s => ({ ...s }));
+            track.padChokeGroups = [...state.chokeGroups];
+            updatePadButtons(track.id);
+            drawWaveform(track.id);
+        }
+    },
+    // Edits can move the markers and everything else stored in buffer time, so those come along
+    edits: {
+        capture: (track) => ({
+            edits: track.edits.map(e => ({ ...e })),
+            region: HISTORY_SNAPSHOTS.region.capture(track),
+            hotCues: [...track.hotCues],
+            downbeatOffset: track.downbeatOffset,
+            clips: track.clips.map(c => ({ ...c })),
+            slices: track.slices.map(s => ({ ...s })),
+            automation: cloneAutomation(track.automation)
+        }),
+        apply: (track, state) => {
+            Object.assign(track, state.region);
+            track.loopToggle.checked = state.region.isLooping;
+            track.playbackOffset = Math.max(track.startTime, Math.min(track.endTime, track.playbackOffset));
+            track.hotCues = [...state.hotCues];
+            track.downbeatOffset = state.downbeatOffset;
+            track.downbeatInput.value = state.downbeatOffset.toFixed(3);
+            track.clips = state.clips.map(c => ({ ...c }));
+            track.slices = state.slices.map(s => ({ ...s }));
+            track.automation = cloneAutomation(state.automation);
+            releaseAutomation(track);
+            setTrackEdits(track.id, state.edits); // Rebuilds the buffer, restarts playback and redraws
+            updateHotCueButtons(track.id);
+            updatePadButtons(track.id);
+            drawArrangement();
+        }
+    },
+    arrangement: {
+        capture: () => ({
+            sections: arrangement.sections.map(s => ({ ...s })),
+            clips: Object.values(tracks).filter(Boolean).map(t => ({ trackId: t.id, clips: t.clips.map(c => ({ ...c })) }))
+        }),
+        apply: (_, state) => {
+            arrangement.sections = state.sections.map(s => ({ ...s }));
+            state.clips.forEach(({ trackId, clips }) => {
+                if (tracks[trackId]) tracks[trackId].clips = clips.map(c => ({ ...c }));
+            });
+            arrangement.selectedClip = null;
+            onArrangementEdited();
+        }
+    }
+};
+
+function captureHistorySnapshot(kind, trackId) {
+    const track = tracks[trackId];
+    return HISTORY_SNAPSHOTS[kind].capture(track);
+}
+
+// Records the change from before to the current state, if there is one
+function recordSnapshotEdit(kind, trackId, label, before, coalesceKey) {
+    const snapshot = HISTORY_SNAPSHOTS[kind];
+    const after = snapshot.capture(tracks[trackId]);
+    if (JSON.stringify(before, (key, value) => key === 'effect' ? value.id : value)
+        === JSON.stringify(after, (key, value) => key === 'effect' ? value.id : value)) return;
+    const apply = (state) => () => {
+        if (kind === 'arrangement' || tracks[trackId]) snapshot.apply(tracks[trackId], state);
+    };
+    recordHistory({ label, coalesceKey, undo: apply(before), redo: apply(after) });
+}
+
+// Runs mutate() and records what it changed
+function withSnapshotHistory(kind, trackId, label, mutate, coalesceKey) {
+    const before = captureHistorySnapshot(kind, trackId);
+    const result = mutate();
+    recordSnapshotEdit(kind, trackId, label, before, coalesceKey);
+    return result;
+}
+
+// --- History List ---
+function renderHistoryList() {
+    historyList.innerHTML = '';
+    const entries = [
+        ...editHistory.undoStack.map((command, i) => ({ command, steps: editHistory.undoStack.length - 1 - i, done: true })),
+        ...[...editHistory.redoStack].reverse().map((command, i) => ({ command, steps: i + 1, done: false }))
+    ];
+    entries.forEach(({ command, steps, done }, i) => {
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.textContent = command.label;
+        button.className = done ? 'history-done' : 'history-undone';
+        if (done && steps === 0) button.setAttribute('aria-current', 'step');
+        // Jump to the state right after this step
+        button.addEventListener('click', () => {
+            for (let n = 0; n < steps; n++) done ? undo() : redo();
+        });
+        item.appendChild(button);
+        historyList.appendChild(item);
+        if (i === editHistory.undoStack.length - 1) item.classList.add('history-current');
+    });
+    undoButton.disabled = editHistory.undoStack.length === 0;
+    redoButton.disabled = editHistory.redoStack.length === 0;
+    undoButton.title = editHistory.undoStack.length ? `Undo ${editHistory.undoStack[editHistory.undoStack.length - 1].label}` : 'Nothing to undo';
+    redoButton.title = editHistory.redoStack.length ? `Redo ${editHistory.redoStack[editHistory.redoStack.length - 1].label}` : 'Nothing to redo';
+}
+
+// --- Event Listeners ---
+// Capture phase, so the before value is read ahead of any handler
+document.addEventListener('focusin', (event) => rememberControlValue(event.target), true);
+document.addEventListener('pointerdown', (event) => rememberControlValue(event.target), true);
+document.addEventListener('change', (event) => {
+    // Synthetic events come from undo/redo, MIDI or project loading, which record (or skip) themselves
+    if (!event.isTrusted || editHistory.isApplying || !isHistoryControl(event.target)) return;
+    let before = editHistory.knownValues.get(event.target.id);
+    // A checkbox toggled through its label may not have been focused or pressed first
+    if (before === undefined && event.target.type === 'checkbox') before = !event.target.checked;
+    recordControlEdit(event.target, before);
+}, true);
+
+undoButton.addEventListener('click', undo);
+redoButton.addEventListener('click', redo);
+renderHistoryList();
@@ -0,0 +1,111 @@
+// --- Hot Cues ---
+// Up to HOT_CUE_COUNT cue points per track (buffer times), drawn on the waveform and triggered by
+// buttons or keyboard shortcuts (see shortcuts.js). Jumps while playing go through the transport
+// scheduler, so they land on the next beat or bar when start quantizing is on.
+
+const HOT_CUE_COUNT = 8;
+const HOT_CUE_COLORS = ['#e74c3c', '#e67e22', '#f1c40f', '#2ecc71', '#1abc9c', '#3498db', '#9b59b6', '#ff6fb5'];
+
+// Empty cue slots are null
+function createEmptyHotCues() {
+    return new Array(HOT_CUE_COUNT).fill(null);
+}
+
+// Stores the cue at the playhead, snapped to the beat grid when the track's "Snap cues" box is ticked
+function setHotCue(trackId, index) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded) return;
+    let time = track.getPosition();
+    if (track.hotCueQuantizeToggle?.checked) time = snapToBeat(track, time);
+    track.hotCues[index] = time;
+    updateHotCueButtons(trackId);
+    drawWaveform(trackId);
+}
+
+function clearHotCue(trackId, index) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.hotCues[index] = null;
+    updateHotCueButtons(trackId);
+    drawWaveform(trackId);
+}
+
+// A cue outside the start/end region exits the loop and reopens the whole file
+function jumpToHotCue(trackId, index) {
+    const track = tracks[trackId];
+    const time = track?.hotCues[index];
+    if (!track?.isLoaded || time === null || time === undefined) return;
+    // The cue point is quantized like a start, so the old source plays on until then
+    const when = track.isPlaying ? getTransportStartTime() : null;
+    const wasPlaying = track.isPlaying && track.stop(when);
+    if (time < track.startTime || time >= track.endTime) {
+        track.startTime = 0;
+        track.endTime = track.buffer.duration;
+        track.setLooping(false); // Stopped at this point, so this doesn't restart the track
+    }
+    track.playbackOffset = time;
+    if (wasPlaying) track.play(when);
+    else drawWaveform(trackId);
+}
+
+// Empty slot: set it. Set slot: jump to it. Shift overwrites, Alt clears.
+function triggerHotCue(trackId, index, { overwrite = false, clear = false } = {}) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded) return;
+    if (clear) {
+        withSnapshotHistory('hotCues', trackId, `Track ${trackId}: Clear cue ${index + 1}`, () => clearHotCue(trackId, index));
+    } else if (overwrite || track.hotCues[index] === null) {
+        withSnapshotHistory('hotCues', trackId, `Track ${trackId}: Set cue ${index + 1}`, () => setHotCue(trackId, index));
+    } else {
+        // Only undoable if the jump had to reopen the region
+        withSnapshotHistory('region', trackId, `Track ${trackId}: Jump to cue ${index + 1}`, () => jumpToHotCue(trackId, index));
+    }
+}
+
+function drawHotCues(track, ctx, height) {
+    track.hotCues.forEach((time, index) => {
+        if (time === null) return;
+        const x = Math.round(timeToWaveformX(track, time)) + 0.5;
+        if (x < 0 || x > track.canvas.width) return;
+        ctx.strokeStyle = HOT_CUE_COLORS[index];
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.fillStyle = HOT_CUE_COLORS[index];
+        ctx.fillRect(x, 0, 12, 12);
+        ctx.fillStyle = '#000000';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(String(index + 1), x + 6, 10);
+    });
+}
+
+// Builds one button per cue slot into the track's .hot-cues container
+function createHotCueButtons(trackId, container) {
+    return Array.from({ length: HOT_CUE_COUNT }, (_, index) => {
+        const button = document.createElement('button');
+        button.className = 'hot-cue';
+        button.textContent = String(index + 1);
+        button.disabled = true;
+        button.addEventListener('click', (event) => {
+            triggerHotCue(trackId, index, { overwrite: event.shiftKey, clear: event.altKey });
+        });
+        container.appendChild(button);
+        return button;
+    });
+}
+
+function updateHotCueButtons(trackId) {
+    const track = tracks[trackId];
+    if (!track?.hotCueButtons) return;
+    track.hotCueButtons.forEach((button, index) => {
+        const time = track.hotCues[index];
+        button.disabled = !track.isLoaded;
+        button.style.backgroundColor = time !== null ? HOT_CUE_COLORS[index] : '';
+        button.title = time !== null
+            ? `Cue ${index + 1} at ${time.toFixed(2)}s (Shift+click to move, Alt+click to clear)`
+            : `Set cue ${index + 1} at the playhead`;
+    });
+}
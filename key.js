@@ -0,0 +1,178 @@
+// --- Musical Key Detection and Harmonic Matching ---
+// Estimates each track's key from an averaged chroma vector and shifts pitch to match another track.
+
+const KEY_FFT_SIZE = 8192;
+const KEY_ANALYSIS_MAX_SECONDS = 90;
+const KEY_MIN_FREQUENCY = 55; // A1
+const KEY_MAX_FREQUENCY = 5000;
+const PITCH_CLASS_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Krumhansl-Kessler key profiles, index 0 = tonic
+const MAJOR_KEY_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_KEY_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// --- Chroma Extraction ---
+function computeChroma(buffer) {
+    const mono = mixToMono(buffer, Math.floor(KEY_ANALYSIS_MAX_SECONDS * buffer.sampleRate));
+    const analysisWindow = createHannWindow(KEY_FFT_SIZE);
+    const binHz = buffer.sampleRate / KEY_FFT_SIZE;
+    const minBin = Math.ceil(KEY_MIN_FREQUENCY / binHz);
+    const maxBin = Math.min(KEY_FFT_SIZE / 2 - 1, Math.floor(KEY_MAX_FREQUENCY / binHz));
+
+    // Pitch class of every analysed bin, precomputed once
+    const binPitchClass = new Int8Array(maxBin + 1);
+    for (let bin = minBin; bin <= maxBin; bin++) {
+        const midi = 69 + 12 * Math.log2((bin * binHz) / 440);
+        binPitchClass[bin] = ((Math.round(midi) % 12) + 12) % 12;
+    }
+
+    const chroma = new Float32Array(12);
+    const re = new Float32Array(KEY_FFT_SIZE);
+    const im = new Float32Array(KEY_FFT_SIZE);
+    for (let start = 0; start + KEY_FFT_SIZE <= mono.length; start += KEY_FFT_SIZE) {
+        for (let i = 0; i < KEY_FFT_SIZE; i++) {
+            re[i] = mono[start + i] * analysisWindow[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+        for (let bin = minBin; bin <= maxBin; bin++) {
+            // Square-root magnitude keeps loud bass notes from swamping everything else
+            chroma[binPitchClass[bin]] += Math.sqrt(Math.hypot(re[bin], im[bin]));
+        }
+    }
+    return chroma;
+}
+
+// --- Key Estimation ---
+// Returns { root, mode, confidence } where root is a pitch class (0 = C) and mode is 'major' or 'minor'
+function detectKey(buffer) {
+    const chroma = computeChroma(buffer);
+    if (chroma.every(v => v === 0)) return null;
+
+    let best = null;
+    let secondScore = -Infinity;
+    for (let root = 0; root < 12; root++) {
+        for (const [mode, profile] of [['major', MAJOR_KEY_PROFILE], ['minor', MINOR_KEY_PROFILE]]) {
+            const rotated = chroma.map((_, pc) => chroma[(pc + root) % 12]);
+            const score = pearsonCorrelation(rotated, profile);
+            if (!best || score > best.score) {
+                if (best) secondScore = best.score;
+                best = { root, mode, score };
+            } else if (score > secondScore) {
+                secondScore = score;
+            }
+        }
+    }
+    return { root: best.root, mode: best.mode, confidence: best.score - secondScore };
+}
+
+function pearsonCorrelation(a, b) {
+    const n = a.length;
+    let meanA = 0;
+    let meanB = 0;
+    for (let i = 0; i < n; i++) { meanA += a[i] / n; meanB += b[i] / n; }
+    let numerator = 0;
+    let denomA = 0;
+    let denomB = 0;
+    for (let i = 0; i < n; i++) {
+        numerator += (a[i] - meanA) * (b[i] - meanB);
+        denomA += (a[i] - meanA) ** 2;
+        denomB += (b[i] - meanB) ** 2;
+    }
+    return denomA > 0 && denomB > 0 ? numerator / Math.sqrt(denomA * denomB) : 0;
+}
+
+// --- Key Naming ---
+function getCamelotCode(key) {
+    // Minor keys share a number with their relative major (three semitones up)
+    const majorRoot = key.mode === 'major' ? key.root : (key.root + 3) % 12;
+    const number = ((majorRoot * 7) % 12 + 7) % 12 + 1;
+    return `${number}${key.mode === 'major' ? 'B' : 'A'}`;
+}
+
+function formatKey(key) {
+    return `${PITCH_CLASS_NAMES[key.root]} ${key.mode} (${getCamelotCode(key)})`;
+}
+
+// Key as heard, after the pitch shift (or, without the worklet, the tempo change) rounded to semitones
+function getEffectiveKey(track) {
+    if (!track?.key) return null;
+    const shift = Math.round(track.getPitchShift());
+    return { root: (((track.key.root + shift) % 12) + 12) % 12, mode: track.key.mode };
+}
+
+// Smallest shift (in -6..+6) that puts source's key on target's key or its relative major/minor
+function getKeyMatchShift(sourceKey, targetKey) {
+    let targetRoot = targetKey.root;
+    if (sourceKey.mode !== targetKey.mode) {
+        targetRoot = sourceKey.mode === 'major' ? (targetKey.root + 3) % 12 : (targetKey.root + 9) % 12;
+    }
+    let shift = (((targetRoot - sourceKey.root) % 12) + 12) % 12;
+    if (shift > 6) shift -= 12;
+    return shift;
+}
+
+// --- Track Integration ---
+function analyzeTrackKey(trackId) {
+    const track = tracks[trackId];
+    if (!track?.buffer) return;
+    const key = detectKey(track.buffer);
+    track.key = key ? { root: key.root, mode: key.mode } : null;
+    if (key) {
+        console.log(`Track ${trackId}: detected key ${formatKey(key)} (confidence ${key.confidence.toFixed(3)})`);
+    } else {
+        console.warn(`Track ${trackId}: could not detect key.`);
+    }
+    updateKeyDisplay(trackId);
+    updateKeyMatchOptions();
+}
+
+function updateKeyDisplay(trackId) {
+    const track = tracks[trackId];
+    if (!track?.keyDisplay) return;
+    if (!track.key) {
+        track.keyDisplay.textContent = '--';
+        return;
+    }
+    const effectiveKey = getEffectiveKey(track);
+    const detected = formatKey(track.key);
+    track.keyDisplay.textContent = effectiveKey.root === track.key.root ? detected : `${detected} → ${formatKey(effectiveKey)}`;
+}
+
+// Each track's "Match key to" list offers every other track with a detected key
+function updateKeyMatchOptions() {
+    Object.values(tracks).forEach(track => {
+        if (!track?.keyMatchSelect) return;
+        const previousValue = track.keyMatchSelect.value;
+        track.keyMatchSelect.innerHTML = '';
+        Object.values(tracks).forEach(other => {
+            if (other && other.id !== track.id && other.isLoaded && other.key) {
+                track.keyMatchSelect.appendChild(new Option(`Track ${other.id}`, String(other.id)));
+            }
+        });
+        const hasOptions = track.keyMatchSelect.options.length > 0;
+        if (hasOptions && Array.from(track.keyMatchSelect.options).some(o => o.value === previousValue)) {
+            track.keyMatchSelect.value = previousValue;
+        }
+        track.keyMatchSelect.disabled = !hasOptions || !track.key;
+        track.keyMatchButton.disabled = !hasOptions || !track.key;
+    });
+}
+
+function matchTrackKey(trackId) {
+    const track = tracks[trackId];
+    const target = tracks[track?.keyMatchSelect.value];
+    if (!track?.key || !target?.key) {
+        alert("Both tracks need a detected key to match.");
+        return;
+    }
+    if (!engine.isWorkletLoaded) {
+        alert("Key matching needs the audio processing module, which isn't loaded.");
+        return;
+    }
+    const shift = getKeyMatchShift(track.key, getEffectiveKey(target));
+    const previousPitch = track.pitchSlider.value;
+    track.pitchSlider.value = shift;
+    handlePitchChange({ target: track.pitchSlider }, trackId);
+    recordControlEdit(track.pitchSlider, previousPitch, `Track ${trackId}: Match key to Track ${target.id}`);
+    console.log(`Track ${trackId}: shifted ${shift} semitone(s) to match Track ${target.id} (${formatKey(getEffectiveKey(target))})`);
+}
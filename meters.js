@@ -0,0 +1,151 @@
+// --- Level Meters and Master Limiter ---
+// Peak/RMS meters for every track (after volume and crossfader) and for the master output, with
+// clip lights that stay on until clicked. The master bus runs through an optional brickwall limiter:
+// masterGainNode -> [limiter] -> masterBus.analyser -> destination
+
+const METER_FFT_SIZE = 2048;
+const METER_MIN_DB = -60;
+const METER_MAX_DB = 6;
+const METER_PEAK_DECAY_DB_PER_SECOND = 20;
+const CLIP_LEVEL = 1; // Full scale; anything above clips at the output
+const LIMITER_RATIO = 20;
+const LIMITER_ATTACK = 0.001;
+const LIMITER_RELEASE = 0.1;
+
+// --- DOM Element References ---
+const masterMeterCanvas = document.getElementById('master-meter');
+const masterClipIndicator = document.getElementById('master-clip');
+const limiterToggle = document.getElementById('limiter-enable');
+const limiterThresholdSlider = document.getElementById('limiter-threshold');
+const limiterThresholdDisplay = document.getElementById('limiter-threshold-value');
+
+const masterBus = {
+    limiter: null, // DynamicsCompressorNode, kept even while bypassed
+    analyser: null, // Last node before the destination; the recorder taps it too
+    meter: createMeterState(masterMeterCanvas, masterClipIndicator)
+};
+let meterAnimationFrame = null;
+
+function createMeterState(canvas, clipIndicator) {
+    return { canvas, clipIndicator, peakHoldDb: METER_MIN_DB, lastUpdate: 0, samples: new Float32Array(METER_FFT_SIZE) };
+}
+
+// Brickwall-style compressor at the limiter threshold; also built on the offline context for exports
+function createMasterLimiter(context) {
+    return new DynamicsCompressorNode(context, {
+        threshold: parseFloat(limiterThresholdSlider.value),
+        knee: 0,
+        ratio: LIMITER_RATIO,
+        attack: LIMITER_ATTACK,
+        release: LIMITER_RELEASE
+    });
+}
+
+// Connects input to output through the limiter when it is switched on
+function connectThroughLimiter(context, input, output, limiter = createMasterLimiter(context)) {
+    if (limiterToggle.checked) {
+        input.connect(limiter);
+        limiter.connect(output);
+    } else {
+        input.connect(output);
+    }
+}
+
+// Called once the AudioContext and masterGainNode exist
+function setupMasterBus() {
+    masterBus.limiter = createMasterLimiter(audioContext);
+    masterBus.analyser = new AnalyserNode(audioContext, { fftSize: METER_FFT_SIZE });
+    masterBus.analyser.connect(audioContext.destination);
+    connectThroughLimiter(audioContext, masterGainNode, masterBus.analyser, masterBus.limiter);
+    startMeterAnimation();
+}
+
+function rebuildMasterBus() {
+    if (!masterBus.analyser) return;
+    masterGainNode.disconnect();
+    masterBus.limiter.disconnect();
+    connectThroughLimiter(audioContext, masterGainNode, masterBus.analyser, masterBus.limiter);
+}
+
+// Analyser tapped off a track's output, created with its gain nodes
+function createTrackMeter(track) {
+    track.meterAnalyser = new AnalyserNode(audioContext, { fftSize: METER_FFT_SIZE });
+    track.crossfadeGainNode.connect(track.meterAnalyser);
+}
+
+// --- Metering ---
+function amplitudeToDb(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+function updateMeter(analyser, meter, now) {
+    if (!meter.canvas) return;
+    let peak = 0;
+    let sumSquares = 0;
+    if (analyser) {
+        analyser.getFloatTimeDomainData(meter.samples);
+        for (let i = 0; i < meter.samples.length; i++) {
+            const magnitude = Math.abs(meter.samples[i]);
+            if (magnitude > peak) peak = magnitude;
+            sumSquares += meter.samples[i] * meter.samples[i];
+        }
+    }
+    const peakDb = amplitudeToDb(peak);
+    const rmsDb = amplitudeToDb(Math.sqrt(sumSquares / meter.samples.length));
+    const elapsed = meter.lastUpdate ? now - meter.lastUpdate : 0;
+    meter.lastUpdate = now;
+    meter.peakHoldDb = Math.max(peakDb, meter.peakHoldDb - METER_PEAK_DECAY_DB_PER_SECOND * elapsed, METER_MIN_DB);
+    if (peak >= CLIP_LEVEL) meter.clipIndicator?.classList.add('clipped');
+    drawMeter(meter, peakDb, rmsDb);
+}
+
+function drawMeter(meter, peakDb, rmsDb) {
+    const ctx = meter.canvas.getContext('2d');
+    const { width, height } = meter.canvas;
+    const toX = (db) => Math.max(0, Math.min(1, (db - METER_MIN_DB) / (METER_MAX_DB - METER_MIN_DB))) * width;
+    const zeroX = toX(0);
+    ctx.fillStyle = '#1e2127';
+    ctx.fillRect(0, 0, width, height);
+    // Peak bar, then the RMS level over it
+    const gradient = ctx.createLinearGradient(0, 0, width, 0);
+    gradient.addColorStop(0, '#2ecc71');
+    gradient.addColorStop(toX(-12) / width, '#f1c40f');
+    gradient.addColorStop(zeroX / width, '#e74c3c');
+    ctx.fillStyle = gradient;
+    ctx.globalAlpha = 0.5;
+    ctx.fillRect(0, 0, toX(peakDb), height);
+    ctx.globalAlpha = 1;
+    ctx.fillRect(0, height / 4, toX(rmsDb), height / 2);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(Math.min(width - 2, toX(meter.peakHoldDb)), 0, 2, height);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.fillRect(zeroX, 0, 1, height); // 0 dBFS
+}
+
+function updateMeters() {
+    meterAnimationFrame = null;
+    if (!audioContext) return;
+    const now = performance.now() / 1000;
+    updateMeter(masterBus.analyser, masterBus.meter, now);
+    Object.values(tracks).forEach(track => {
+        if (track?.meterState) updateMeter(track.meterAnalyser, track.meterState, now);
+    });
+    meterAnimationFrame = requestAnimationFrame(updateMeters);
+}
+
+function startMeterAnimation() {
+    if (meterAnimationFrame === null) meterAnimationFrame = requestAnimationFrame(updateMeters);
+}
+
+// Clip lights hold until clicked
+function resetClipIndicator(indicator) {
+    indicator.classList.remove('clipped');
+}
+
+masterClipIndicator.addEventListener('click', () => resetClipIndicator(masterClipIndicator));
+limiterToggle.addEventListener('change', rebuildMasterBus);
+limiterThresholdSlider.addEventListener('input', () => {
+    const threshold = parseFloat(limiterThresholdSlider.value);
+    limiterThresholdDisplay.textContent = threshold.toFixed(1);
+    if (masterBus.limiter) masterBus.limiter.threshold.setTargetAtTime(threshold, audioContext.currentTime, 0.01);
+});
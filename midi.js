@@ -0,0 +1,177 @@
+// --- MIDI Controller Support ---
+// Binds Web MIDI notes and CCs to page controls with a "MIDI learn" mode. Bound controls are driven through
+// their normal input/change/click events, so MIDI follows exactly the same paths as the mouse.
+
+const MIDI_STORAGE_KEY = 'mashy-midi-mappings';
+const MIDI_RELATIVE_STEPS = 200; // Encoder ticks to sweep a slider's whole range
+// Controls that can be learned, matched against the clicked element
+const MIDI_LEARNABLE_SELECTOR = '.track .volume, .track .tempo, .track .pitch, .track .loop-toggle, .track .play-pause, '
+    + '.track .pad, #master-volume, #master-play-pause, #crossfader';
+
+// --- DOM Element References ---
+const midiEnableButton = document.getElementById('midi-enable');
+const midiLearnButton = document.getElementById('midi-learn');
+const midiEncoderModeSelect = document.getElementById('midi-encoder-mode');
+const midiClearButton = document.getElementById('midi-clear');
+const midiStatusDisplay = document.getElementById('midi-status');
+
+const midi = {
+    access: null,
+    learnMode: false,
+    learnTarget: null, // Element waiting for the next MIDI message
+    // { controlId, type: 'cc' | 'note', channel, number, mode: 'absolute' | 'relative-twos' | 'relative-offset' }
+    mappings: loadMidiMappings()
+};
+
+function loadMidiMappings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MIDI_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        console.warn("Ignoring unreadable MIDI mappings:", e.message);
+        return [];
+    }
+}
+
+function saveMidiMappings() {
+    try {
+        localStorage.setItem(MIDI_STORAGE_KEY, JSON.stringify(midi.mappings));
+    } catch (e) {
+        console.warn("Could not save MIDI mappings:", e.message);
+    }
+}
+
+// requestAccess is injectable so a mocked MIDIAccess can stand in for hardware
+async function initMidi(requestAccess = navigator.requestMIDIAccess?.bind(navigator)) {
+    if (!requestAccess) {
+        setMidiStatus("Web MIDI is not supported in this browser.");
+        return false;
+    }
+    try {
+        midi.access = await requestAccess();
+    } catch (e) {
+        console.error("MIDI access denied:", e);
+        setMidiStatus("MIDI access was denied.");
+        return false;
+    }
+    const attachInputs = () => {
+        midi.access.inputs.forEach(input => { input.onmidimessage = handleMidiMessage; });
+        setMidiStatus(`MIDI inputs: ${midi.access.inputs.size}`);
+    };
+    attachInputs();
+    midi.access.onstatechange = attachInputs; // Controllers plugged in later
+    midiLearnButton.disabled = false;
+    return true;
+}
+
+// Decodes note-on and control-change messages; everything else (note-off, clock, sysex) is ignored
+function parseMidiMessage(data) {
+    const [status, number, value = 0] = data;
+    const command = status & 0xf0;
+    const channel = status & 0x0f;
+    if (command === 0xb0) return { type: 'cc', channel, number, value };
+    if (command === 0x90 && value > 0) return { type: 'note', channel, number, value };
+    return null;
+}
+
+function handleMidiMessage(event) {
+    const message = parseMidiMessage(event.data);
+    if (!message) return;
+    if (midi.learnMode && midi.learnTarget) {
+        bindMidiControl(midi.learnTarget, message);
+        return;
+    }
+    midi.mappings
+        .filter(m => m.type === message.type && m.channel === message.channel && m.number === message.number)
+        .forEach(m => applyMidiToControl(m, message.value));
+}
+
+function bindMidiControl(element, message) {
+    const mode = message.type === 'cc' ? midiEncoderModeSelect.value : 'absolute';
+    // One message per control and one control per message
+    midi.mappings = midi.mappings.filter(m => m.controlId !== element.id
+        && !(m.type === message.type && m.channel === message.channel && m.number === message.number));
+    midi.mappings.push({ controlId: element.id, type: message.type, channel: message.channel, number: message.number, mode });
+    saveMidiMappings();
+    setMidiLearnTarget(null);
+    setMidiStatus(`${message.type.toUpperCase()} ${message.number} (ch ${message.channel + 1}) → ${element.id}`);
+}
+
+// Encoders send signed steps rather than positions
+function getRelativeMidiDelta(value, mode) {
+    if (mode === 'relative-twos') return value < 64 ? value : value - 128;
+    return value - 64; // relative-offset
+}
+
+function applyMidiToControl(mapping, value) {
+    const element = document.getElementById(mapping.controlId);
+    if (!element || element.disabled) return;
+    const before = getControlValue(element);
+
+    if (element.type === 'range') {
+        const min = parseFloat(element.min);
+        const max = parseFloat(element.max);
+        const current = parseFloat(element.value);
+        const target = mapping.mode === 'absolute'
+            ? min + (value / 127) * (max - min)
+            : current + getRelativeMidiDelta(value, mapping.mode) * (max - min) / MIDI_RELATIVE_STEPS;
+        element.value = Math.max(min, Math.min(max, target));
+        element.dispatchEvent(new Event('input'));
+        if (isHistoryControl(element)) recordControlEdit(element, before);
+    } else if (element.type === 'checkbox') {
+        // Notes and relative encoders toggle; absolute CCs follow the switch position
+        const checked = mapping.type === 'cc' && mapping.mode === 'absolute' ? value >= 64 : !element.checked;
+        if (checked === element.checked) return;
+        element.checked = checked;
+        element.dispatchEvent(new Event('change'));
+        if (isHistoryControl(element)) recordControlEdit(element, before);
+    } else if (mapping.type === 'note' || value >= 64) {
+        element.click();
+    }
+}
+
+// --- MIDI Learn ---
+function setMidiLearnMode(enabled) {
+    midi.learnMode = enabled;
+    midiLearnButton.classList.toggle('active', enabled);
+    midiLearnButton.textContent = enabled ? 'Stop Learning' : 'MIDI Learn';
+    document.body.classList.toggle('midi-learning', enabled);
+    if (!enabled) setMidiLearnTarget(null);
+    setMidiStatus(enabled ? "Click a control, then move a knob or press a pad." : '');
+}
+
+function setMidiLearnTarget(element) {
+    midi.learnTarget?.classList.remove('midi-learn-target');
+    midi.learnTarget = element;
+    element?.classList.add('midi-learn-target');
+}
+
+function setMidiStatus(text) {
+    midiStatusDisplay.textContent = text;
+}
+
+// While learning, clicks select a control instead of operating it
+document.addEventListener('pointerdown', (event) => {
+    if (!midi.learnMode) return;
+    const element = event.target.closest?.(MIDI_LEARNABLE_SELECTOR);
+    if (!element) return;
+    event.preventDefault();
+    setMidiLearnTarget(element);
+    setMidiStatus(`Waiting for MIDI input for ${element.id}...`);
+}, true);
+document.addEventListener('click', (event) => {
+    if (midi.learnMode && event.target.closest?.(MIDI_LEARNABLE_SELECTOR)) {
+        event.preventDefault();
+        event.stopPropagation();
+    }
+}, true);
+
+midiEnableButton.addEventListener('click', async () => {
+    if (await initMidi()) midiEnableButton.disabled = true;
+});
+midiLearnButton.addEventListener('click', () => setMidiLearnMode(!midi.learnMode));
+midiClearButton.addEventListener('click', () => {
+    midi.mappings = [];
+    saveMidiMappings();
+    setMidiStatus("MIDI mappings cleared.");
+});
@@ -0,0 +1,410 @@
+// --- Project Save/Load and Session Autosave ---
+// Serializes the tracks and master settings to a versioned JSON project file, restores it through the normal
+// track loading path, and keeps an autosave of the last session in IndexedDB.
+
+const PROJECT_FORMAT = 'mashy-project';
+const PROJECT_VERSION = 2; // Bump whenever the saved schema changes, and add a step to PROJECT_MIGRATIONS
+const PROJECT_EMBED_BIT_DEPTH = '16'; // Embedded audio is stored as 16-bit PCM WAV
+const SESSION_DB_NAME = 'mashy-session';
+const SESSION_DB_VERSION = 1;
+const AUTOSAVE_INTERVAL = 10000; // ms
+
+// --- DOM Element References ---
+const saveProjectButton = document.getElementById('save-project');
+const embedAudioToggle = document.getElementById('embed-audio');
+const openProjectButton = document.getElementById('open-project');
+const openProjectInput = document.getElementById('open-project-input');
+const restoreSessionButton = document.getElementById('restore-session');
+
+let sessionDatabasePromise = null;
+let lastAutosaveSignature = null;
+const autosavedBuffers = new Map(); // Track slot index -> AudioBuffer already written to IndexedDB
+
+saveProjectButton.addEventListener('click', saveProjectFile);
+openProjectButton.addEventListener('click', () => openProjectInput.click());
+openProjectInput.addEventListener('change', handleProjectFileOpen);
+restoreSessionButton.addEventListener('click', restoreAutosavedSession);
+window.addEventListener('load', checkForAutosavedSession);
+window.addEventListener('pagehide', autosaveSession);
+setInterval(autosaveSession, AUTOSAVE_INTERVAL);
+
+// --- State Collection ---
+function collectProjectState() {
+    const masterBpm = parseFloat(masterBpmInput.value);
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        master: {
+            volume: parseFloat(masterVolumeSlider.value),
+            crossfader: getCrossfaderPosition(),
+            crossfaderCurve: crossfaderCurveSelect.value,
+            limiter: { enabled: limiterToggle.checked, threshold: parseFloat(limiterThresholdSlider.value) },
+            bpm: masterBpm > 0 ? masterBpm : null,
+            quantize: quantizeSelect.value,
+            arrangementMode: arrangementModeToggle.checked,
+            arrangementLength: parseFloat(arrangementLengthInput.value) || null,
+            sections: arrangement.sections.map(s => ({ name: s.name, songTime: s.songTime }))
+        },
+        tracks: Object.values(tracks).filter(Boolean).map(collectTrackState)
+    };
+}
+
+function collectTrackState(track) {
+    // A track still waiting for its audio keeps its saved settings, so re-saving doesn't lose them
+    if (!track.isLoaded && track.pendingState) return track.pendingState;
+    return {
+        fileName: track.fileName,
+        startTime: track.startTime,
+        endTime: track.endTime,
+        tempo: track.tempo,
+        pitchSemitones: track.pitchSemitones,
+        volume: parseFloat(track.volumeSlider.value),
+        crossfaderSide: track.crossfaderSide,
+        isLooping: track.isLooping,
+        bpm: track.bpm,
+        downbeatOffset: track.downbeatOffset,
+        hotCues: [...track.hotCues],
+        key: track.key ? { root: track.key.root, mode: track.key.mode } : null,
+        clips: track.clips.map(c => ({ songStart: c.songStart, offset: c.offset, duration: c.duration, repeats: c.repeats })),
+        effects: track.effects.map(e => ({ type: e.type, bypassed: e.bypassed, params: { ...e.params } })),
+        edits: track.edits.map(e => ({ ...e })), // The audio is saved unedited
+        duck: collectDuckState(track),
+        sampler: {
+            enabled: track.samplerEnabled,
+            sliceMode: track.sliceModeSelect.value,
+            sliceCount: parseInt(track.sliceCountSelect.value, 10),
+            slices: track.slices.map(s => ({ start: s.start, end: s.end })),
+            chokeGroups: [...track.padChokeGroups]
+        },
+        automation: cloneAutomation(track.automation),
+        automationMode: track.automationMode,
+        // Stems aren't stored; they are extracted again on load
+        stems: track.activeSource !== 'mix' ? { method: track.stemMethod, source: track.activeSource } : null
+    };
+}
+
+// The source track is saved by its position in the project, which is its id once restored
+function collectDuckState(track) {
+    const source = track.duckSource === DUCK_PUMP_SOURCE ? DUCK_PUMP_SOURCE
+        : Object.values(tracks).filter(Boolean).indexOf(tracks[track.duckSource]) + 1 || null;
+    return { source, ...getDuckSettings(track) };
+}
+
+// --- Migrations ---
+// Version -> step that upgrades a project saved at that version to the next one, in place
+const PROJECT_MIGRATIONS = {
+    // 2 added crossfader sides, the beat grid, hot cues, effects, automation, stems, ducking, edits and the sampler
+    // (and master crossfader and limiter settings, which keep their current values when missing)
+    1: (project) => {
+        project.tracks.forEach(state => {
+            Object.entries({
+                crossfaderSide: 'thru', downbeatOffset: 0, hotCues: [], effects: [], edits: [], duck: null,
+                sampler: null, automation: cloneAutomation(), automationMode: 'off', stems: null
+            }).forEach(([key, value]) => { if (state[key] === undefined) state[key] = value; });
+        });
+    }
+};
+
+// Brings an older project up to PROJECT_VERSION. Projects without a version predate versioning (1).
+function migrateProject(project) {
+    for (let version = project.version || 1; version < PROJECT_VERSION; version++) {
+        console.log(`Migrating project from version ${version} to ${version + 1}`);
+        PROJECT_MIGRATIONS[version](project);
+    }
+    project.version = PROJECT_VERSION;
+    return project;
+}
+
+// --- State Application ---
+// Called by loadBufferIntoTrack once the track's audio is in place
+function applyTrackState(trackId, state) {
+    const track = tracks[trackId];
+    // Everything below is saved in the time of the edited buffer
+    if (state.edits?.length) setTrackEdits(trackId, state.edits);
+    const duration = track.buffer.duration;
+    track.startTime = Math.max(0, Math.min(duration, state.startTime ?? 0));
+    track.endTime = Math.max(track.startTime, Math.min(duration, state.endTime ?? duration));
+    if (track.endTime <= track.startTime) track.endTime = duration;
+    track.playbackOffset = track.startTime;
+
+    track.volumeSlider.value = state.volume ?? track.volumeSlider.value;
+    handleVolumeChange({ target: track.volumeSlider }, trackId);
+    setTrackCrossfaderSide(trackId, state.crossfaderSide);
+    track.tempoSlider.value = state.tempo ?? 1;
+    handleTempoChange({ target: track.tempoSlider }, trackId);
+    track.pitchSlider.value = state.pitchSemitones ?? 0;
+    handlePitchChange({ target: track.pitchSlider }, trackId);
+    track.setLooping(!!state.isLooping);
+
+    if (state.bpm) setTrackBpm(trackId, state.bpm);
+    setDownbeatOffset(trackId, state.downbeatOffset ?? 0);
+    track.hotCues = createEmptyHotCues().map((_, i) => {
+        const time = state.hotCues?.[i];
+        return typeof time === 'number' && time >= 0 && time < duration ? time : null;
+    });
+    if (state.key) {
+        track.key = { root: state.key.root, mode: state.key.mode };
+        updateKeyDisplay(trackId);
+        updateKeyMatchOptions();
+    }
+    track.clips = (state.clips || []).map(c => ({ ...c, id: nextClipId++ }));
+    if (state.effects) {
+        [...track.effects].forEach(e => removeEffect(trackId, e.id));
+        state.effects.forEach(e => addEffect(trackId, e.type, e.params, e.bypassed));
+    }
+    if (state.duck) {
+        track.duckThresholdSlider.value = state.duck.threshold;
+        track.duckAmountSlider.value = state.duck.amount;
+        track.duckAttackSlider.value = state.duck.attack * 1000;
+        track.duckReleaseSlider.value = state.duck.release * 1000;
+        updateDuckSettingDisplays(track);
+        setDuckSource(trackId, state.duck.source);
+    }
+    if (state.sampler) {
+        track.sliceModeSelect.value = state.sampler.sliceMode;
+        track.sliceCountSelect.value = state.sampler.sliceCount;
+        track.slices = (state.sampler.slices || []).filter(s => s.start >= 0 && s.end <= duration && s.end > s.start);
+        track.padChokeGroups = createEmptyChokeGroups().map((_, i) => state.sampler.chokeGroups?.[i] || 0);
+        updatePadButtons(trackId);
+        setSamplerEnabled(trackId, !!state.sampler.enabled);
+    }
+    track.automation = cloneAutomation(state.automation);
+    Object.values(track.automation).forEach(points => points.sort((a, b) => a.time - b.time));
+    setAutomationMode(trackId, state.automationMode);
+    if (state.stems) restoreTrackStems(trackId, state.stems);
+}
+
+function applyMasterState(master = {}) {
+    if (master.volume !== undefined) {
+        masterVolumeSlider.value = master.volume;
+        masterVolumeSlider.dispatchEvent(new Event('input'));
+    }
+    if (master.limiter) {
+        limiterThresholdSlider.value = master.limiter.threshold;
+        limiterThresholdSlider.dispatchEvent(new Event('input'));
+        limiterToggle.checked = !!master.limiter.enabled;
+        limiterToggle.dispatchEvent(new Event('change'));
+    }
+    if (master.crossfaderCurve) crossfaderCurveSelect.value = master.crossfaderCurve;
+    if (master.crossfader !== undefined) setCrossfaderPosition(master.crossfader);
+    masterBpmInput.value = master.bpm ? master.bpm.toFixed(2) : '';
+    quantizeSelect.value = master.quantize || 'off';
+    arrangementModeToggle.checked = !!master.arrangementMode;
+    if (master.arrangementLength) arrangementLengthInput.value = master.arrangementLength;
+    arrangement.sections = (master.sections || []).map(s => ({ name: s.name, songTime: s.songTime }));
+    arrangement.songPosition = 0;
+}
+
+// Replaces every track with the project's tracks. getAudioBuffer(trackState, index) resolves to an
+// AudioBuffer or null; tracks without audio wait for the user to re-select their file.
+async function restoreProject(project, getAudioBuffer) {
+    const ready = await initializeAudioAndWorklet();
+    if (!ready || !audioContext) {
+        alert("Audio system not ready. Cannot open the project.");
+        return false;
+    }
+
+    migrateProject(project);
+    if (arrangement.isPlaying) stopArrangementPlayback(audioContext.currentTime);
+    engine.reset(); // Removes every track; restored tracks keep their saved numbering
+    applyMasterState(project.master);
+
+    const missingFiles = [];
+    for (let i = 0; i < project.tracks.length; i++) {
+        const state = project.tracks[i];
+        const trackId = addTrack();
+        const track = tracks[trackId];
+        let buffer = null;
+        try {
+            buffer = await getAudioBuffer(state, i);
+        } catch (e) {
+            console.warn(`Track ${trackId}: could not restore audio for "${state.fileName}":`, e);
+        }
+        if (!state.fileName && !buffer) continue; // Empty slot
+        track.pendingState = state;
+        if (buffer) {
+            loadBufferIntoTrack(trackId, buffer, state.fileName || `Track ${trackId}`);
+        } else {
+            track.fileNameDisplay.textContent = `Missing audio: ${state.fileName} (choose the file to restore this track)`;
+            missingFiles.push(state.fileName);
+        }
+    }
+
+    drawArrangement();
+    checkMasterPlayEnable();
+    clearHistory();
+    if (missingFiles.length > 0) {
+        alert(`Choose these audio files on their tracks to finish restoring the project:\n${missingFiles.join('\n')}`);
+    }
+    return true;
+}
+
+// --- Project Files ---
+async function saveProjectFile() {
+    const project = collectProjectState();
+    if (embedAudioToggle.checked) {
+        saveProjectButton.disabled = true;
+        saveProjectButton.textContent = 'Saving...';
+        try {
+            const slots = Object.values(tracks).filter(Boolean);
+            for (let i = 0; i < slots.length; i++) {
+                if (!slots[i].isLoaded || !slots[i].buffer) continue;
+                const wavBlob = new Blob([encodeWav(getTrackMixBuffer(slots[i]), PROJECT_EMBED_BIT_DEPTH)], { type: 'audio/wav' });
+                project.tracks[i].audio = { dataUrl: await blobToDataUrl(wavBlob) };
+            }
+        } finally {
+            saveProjectButton.disabled = false;
+            saveProjectButton.textContent = 'Save Project';
+        }
+    }
+    const json = JSON.stringify(project);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `mashup-project-${Date.now()}.json`);
+    console.log(`Project saved (${project.tracks.length} track(s), ${embedAudioToggle.checked ? 'embedded' : 'referenced'} audio).`);
+}
+
+async function handleProjectFileOpen(event) {
+    const file = event.target.files[0];
+    event.target.value = null; // Allow re-opening the same file
+    if (!file) return;
+
+    let project;
+    try {
+        project = JSON.parse(await file.text());
+    } catch (e) {
+        console.error("Error parsing project file:", e);
+        alert(`"${file.name}" is not a valid project file.`);
+        return;
+    }
+    if (project?.format !== PROJECT_FORMAT || !Array.isArray(project.tracks)) {
+        alert(`"${file.name}" is not a Mashup Tool project.`);
+        return;
+    }
+    if (project.version > PROJECT_VERSION) {
+        alert(`"${file.name}" was saved by a newer version (project version ${project.version}) and cannot be opened.`);
+        return;
+    }
+
+    await restoreProject(project, async (trackState) => {
+        if (!trackState.audio?.dataUrl) return null;
+        const arrayBuffer = await (await fetch(trackState.audio.dataUrl)).arrayBuffer();
+        return new Promise((resolve, reject) => audioContext.decodeAudioData(arrayBuffer, resolve, reject));
+    });
+    console.log(`Project "${file.name}" opened.`);
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// --- IndexedDB Autosave ---
+function openSessionDatabase() {
+    if (!sessionDatabasePromise) {
+        sessionDatabasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore('state');
+                request.result.createObjectStore('audio'); // Keyed by track slot index
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return sessionDatabasePromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Writes the session state when it changed, and each track's audio only when its buffer changed
+async function autosaveSession() {
+    if (!window.indexedDB) return;
+    // Never overwrite the previous session with an empty page
+    if (!Object.values(tracks).some(t => t?.isLoaded)) return;
+
+    const state = collectProjectState();
+    const slots = Object.values(tracks).filter(Boolean);
+    const changedSlots = slots.map((t, i) => i).filter(i => slots[i].isLoaded && autosavedBuffers.get(i) !== getTrackMixBuffer(slots[i]));
+    const emptySlots = slots.map((t, i) => i).filter(i => !slots[i].isLoaded && autosavedBuffers.get(i) !== null);
+    const signature = JSON.stringify({ ...state, savedAt: null });
+    if (signature === lastAutosaveSignature && changedSlots.length === 0 && emptySlots.length === 0) return;
+
+    try {
+        const db = await openSessionDatabase();
+        const transaction = db.transaction(['state', 'audio'], 'readwrite');
+        const audioStore = transaction.objectStore('audio');
+        changedSlots.forEach(i => {
+            audioStore.put(serializeAudioBuffer(getTrackMixBuffer(slots[i])), i);
+            autosavedBuffers.set(i, getTrackMixBuffer(slots[i]));
+        });
+        // Stale audio must not be restored into a slot that is now empty or waiting for its file
+        emptySlots.forEach(i => {
+            audioStore.delete(i);
+            autosavedBuffers.set(i, null);
+        });
+        audioStore.delete(IDBKeyRange.lowerBound(slots.length)); // Slots that no longer exist
+        transaction.objectStore('state').put(state, 'last');
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+        lastAutosaveSignature = signature;
+    } catch (e) {
+        console.warn("Session autosave failed:", e);
+        autosavedBuffers.clear(); // Rewrite all audio next time
+    }
+}
+
+function serializeAudioBuffer(buffer) {
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+    return { sampleRate: buffer.sampleRate, length: buffer.length, channels };
+}
+
+function deserializeAudioBuffer(stored) {
+    const buffer = audioContext.createBuffer(stored.channels.length, stored.length, stored.sampleRate);
+    stored.channels.forEach((data, c) => buffer.copyToChannel(data, c));
+    return buffer;
+}
+
+async function checkForAutosavedSession() {
+    if (!window.indexedDB) return;
+    try {
+        const db = await openSessionDatabase();
+        const state = await idbRequest(db.transaction('state').objectStore('state').get('last'));
+        if (state) {
+            restoreSessionButton.disabled = false;
+            restoreSessionButton.title = `Autosaved ${new Date(state.savedAt).toLocaleString()}`;
+        }
+    } catch (e) {
+        console.warn("Could not read the autosaved session:", e);
+    }
+}
+
+async function restoreAutosavedSession() {
+    try {
+        const db = await openSessionDatabase();
+        const state = await idbRequest(db.transaction('state').objectStore('state').get('last'));
+        if (!state) return;
+        await restoreProject(state, async (trackState, index) => {
+            const stored = await idbRequest(db.transaction('audio').objectStore('audio').get(index));
+            return stored ? deserializeAudioBuffer(stored) : null;
+        });
+        // The restored buffers are already in the database
+        autosavedBuffers.clear();
+        Object.values(tracks).filter(Boolean).forEach((t, i) => { if (t.buffer) autosavedBuffers.set(i, getTrackMixBuffer(t)); });
+        console.log("Last session restored.");
+    } catch (e) {
+        console.error("Error restoring the autosaved session:", e);
+        alert("Could not restore the last session. Check console.");
+    }
+}
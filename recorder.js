@@ -0,0 +1,186 @@
+// --- Live Recording ---
+// Records the master bus or a microphone/line input and loads the take into an empty (or new) track,
+// after an optional click count-in. The take is trimmed so it starts at the end of the count-in,
+// shifted back by the estimated (or entered) latency.
+
+const RECORD_DEFAULT_BPM = 120; // Count-in tempo when no master BPM is set
+const COUNT_IN_CLICK_SECONDS = 0.03;
+
+// --- DOM Element References ---
+const recordSourceSelect = document.getElementById('record-source');
+const recordCountInSelect = document.getElementById('record-count-in');
+const recordLatencyInput = document.getElementById('record-latency');
+const recordButton = document.getElementById('record');
+const recordStatusDisplay = document.getElementById('record-status');
+
+const recording = {
+    recorder: null, // MediaRecorder while a take is running
+    inputStream: null, // getUserMedia stream when recording an input
+    inputNode: null, // Node feeding streamDestination
+    streamDestination: null,
+    takeCount: 0
+};
+
+// Timing of one take, kept apart from the shared state so a take still decoding isn't trimmed with the next
+// take's values
+function createTake() {
+    return {
+        recorderStartTime: 0, // AudioContext time the recorder started
+        startTime: 0, // AudioContext time the count-in ends
+        latency: 0 // Seconds trimmed in addition to the count-in
+    };
+}
+
+// Round-trip delay of what the performer hears and what the input hears. The master bus is captured
+// inside the graph, so it has none.
+function estimateRecordingLatency(source, stream) {
+    if (source !== 'input') return 0;
+    const outputLatency = audioContext.outputLatency || audioContext.baseLatency || 0;
+    const inputLatency = stream?.getAudioTracks()[0]?.getSettings().latency || 0;
+    return outputLatency + inputLatency;
+}
+
+// Schedules one accented click per beat for the given number of bars and returns the time after the last beat
+function scheduleCountIn(when, bars) {
+    const bpm = parseFloat(masterBpmInput.value) > 0 ? parseFloat(masterBpmInput.value) : RECORD_DEFAULT_BPM;
+    const beatSeconds = 60 / bpm;
+    const beats = bars * BEATS_PER_BAR;
+    for (let beat = 0; beat < beats; beat++) {
+        const time = when + beat * beatSeconds;
+        const oscillator = new OscillatorNode(audioContext, { frequency: beat % BEATS_PER_BAR === 0 ? 1500 : 1000 });
+        const envelope = new GainNode(audioContext, { gain: 0 });
+        envelope.gain.setValueAtTime(0.5, time);
+        envelope.gain.exponentialRampToValueAtTime(0.001, time + COUNT_IN_CLICK_SECONDS);
+        oscillator.connect(envelope);
+        // Straight to the speakers so the click never ends up in a master-bus take
+        envelope.connect(audioContext.destination);
+        oscillator.start(time);
+        oscillator.stop(time + COUNT_IN_CLICK_SECONDS);
+        oscillator.onended = () => envelope.disconnect();
+    }
+    return when + beats * beatSeconds;
+}
+
+async function startRecording() {
+    const ready = await initializeAudioAndWorklet();
+    if (!ready || !audioContext) {
+        alert("Audio system not ready. Cannot record.");
+        return;
+    }
+    if (typeof MediaRecorder === 'undefined') {
+        alert("Recording is not supported in this browser.");
+        return;
+    }
+    const source = recordSourceSelect.value;
+    recording.streamDestination = audioContext.createMediaStreamDestination();
+    if (source === 'input') {
+        try {
+            recording.inputStream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
+        } catch (error) {
+            console.error("Could not open the audio input:", error);
+            alert("Could not open the microphone/line input. Check the browser's permission.");
+            recording.streamDestination = null;
+            return;
+        }
+        recording.inputNode = audioContext.createMediaStreamSource(recording.inputStream);
+    } else {
+        recording.inputNode = masterBus.analyser; // After the limiter, as heard
+    }
+    recording.inputNode.connect(recording.streamDestination);
+
+    const take = createTake();
+    const latencyMs = parseFloat(recordLatencyInput.value);
+    take.latency = latencyMs >= 0 ? latencyMs / 1000 : estimateRecordingLatency(source, recording.inputStream);
+
+    const chunks = [];
+    const recorder = new MediaRecorder(recording.streamDestination.stream);
+    recorder.ondataavailable = (event) => { if (event.data.size > 0) chunks.push(event.data); };
+    recorder.onstop = () => finishRecording(new Blob(chunks, { type: recorder.mimeType }), source, take);
+    recorder.onstart = () => { take.recorderStartTime = audioContext.currentTime; };
+    recording.recorder = recorder;
+    take.recorderStartTime = audioContext.currentTime;
+    recorder.start();
+
+    const bars = parseInt(recordCountInSelect.value, 10) || 0;
+    const when = getTransportStartTime();
+    take.startTime = bars > 0 ? scheduleCountIn(when, bars) : when;
+    recordButton.textContent = 'Stop Recording';
+    recordButton.classList.add('recording');
+    setRecordStatus(bars > 0 ? `Count-in (${bars} bar${bars === 1 ? '' : 's'})...` : 'Recording...');
+    if (bars > 0) {
+        setTimeout(() => { if (recording.recorder === recorder) setRecordStatus('Recording...'); },
+            Math.max(0, (take.startTime - audioContext.currentTime) * 1000));
+    }
+}
+
+function stopRecording() {
+    if (!recording.recorder) return;
+    recording.recorder.stop(); // finishRecording runs from onstop
+    recording.recorder = null;
+    recording.inputNode?.disconnect(recording.streamDestination);
+    recording.inputStream?.getTracks().forEach(t => t.stop());
+    recording.inputNode = null;
+    recording.inputStream = null;
+    recording.streamDestination = null; // The recorder keeps its stream until onstop
+    recordButton.textContent = 'Record';
+    recordButton.classList.remove('recording');
+    setRecordStatus('Decoding take...');
+}
+
+async function finishRecording(blob, source, take) {
+    let decodedBuffer;
+    try {
+        const arrayBuffer = await blob.arrayBuffer();
+        decodedBuffer = await new Promise((resolve, reject) => audioContext.decodeAudioData(arrayBuffer, resolve, reject));
+    } catch (error) {
+        console.error("Error decoding the recording:", error);
+        alert("The recording could not be decoded. Check console.");
+        setRecordStatus('');
+        return;
+    }
+
+    const trimSeconds = Math.max(0, take.startTime - take.recorderStartTime + take.latency);
+    const takeBuffer = trimAudioBufferStart(decodedBuffer, trimSeconds);
+    if (!takeBuffer) {
+        setRecordStatus('Take was shorter than the count-in; nothing recorded.');
+        return;
+    }
+    const trackId = findEmptyTrackSlot() ?? addTrack();
+    recording.takeCount++;
+    loadBufferIntoTrack(trackId, takeBuffer, `Take ${recording.takeCount} (${source === 'input' ? 'input' : 'master'})`);
+    setRecordStatus(`Take ${recording.takeCount} loaded into Track ${trackId}.`);
+}
+
+// Copy of buffer without its first seconds, or null when nothing would be left
+function trimAudioBufferStart(buffer, seconds) {
+    const skip = Math.round(seconds * buffer.sampleRate);
+    const length = buffer.length - skip;
+    if (length <= 0) return null;
+    const trimmed = audioContext.createBuffer(buffer.numberOfChannels, length, buffer.sampleRate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        trimmed.copyToChannel(buffer.getChannelData(c).subarray(skip), c);
+    }
+    return trimmed;
+}
+
+// First track with no audio that isn't waiting for a project's file either
+function findEmptyTrackSlot() {
+    const empty = Object.values(tracks).find(t => t && !t.isLoaded && !t.pendingState);
+    return empty ? empty.id : null;
+}
+
+function setRecordStatus(text) {
+    recordStatusDisplay.textContent = text;
+}
+
+recordButton.addEventListener('click', async () => {
+    if (recording.recorder) {
+        stopRecording();
+        return;
+    }
+    recordButton.disabled = true; // No second take while the input permission prompt is open
+    await startRecording();
+    recordButton.disabled = false;
+});
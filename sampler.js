@@ -0,0 +1,201 @@
+// --- Slice Sampler ---
+// Sampler mode cuts the start/end region into up to 16 slices (equal divisions, on the beat grid once the track
+// has a BPM, or at transients), marks them on the waveform and plays them from a 4×4 pad grid, by mouse,
+// keyboard shortcut (selected track) or MIDI learn.
+// Each hit is its own AudioBufferSourceNode into the track's worklet, so slices follow the track's tempo and
+// pitch like linear playback does. A pad retriggering cuts itself off, and so do pads sharing a choke group.
+
+const SAMPLER_PAD_COUNT = 16;
+const SAMPLER_CHOKE_GROUPS = 4;
+const SAMPLER_CHOKE_TIME_CONSTANT = 0.005; // Fade of a choked voice, to avoid a click
+const SAMPLER_MIN_SLICE_SECONDS = 0.02; // Transients closer than this to the region's edges don't start a slice
+const SAMPLER_SLICE_COLOR = 'rgba(97, 218, 251, 0.8)';
+
+// Choke group per pad; 0 means the pad only chokes itself
+function createEmptyChokeGroups() {
+    return new Array(SAMPLER_PAD_COUNT).fill(0);
+}
+
+// Slices of the start/end region: count equal divisions, or starting at the region start and each transient in
+// it (at most count slices). Each ends where the next begins.
+function computeSlices(track, mode, count) {
+    const { startTime: start, endTime: end } = track;
+    if (mode === 'transients') {
+        const starts = [start, ...getTrackTransients(track)
+            .filter(time => time > start + SAMPLER_MIN_SLICE_SECONDS && time < end - SAMPLER_MIN_SLICE_SECONDS)]
+            .slice(0, count);
+        return starts.map((time, i) => ({ start: time, end: starts[i + 1] ?? end }));
+    }
+    if (getBeatSeconds(track)) return computeBeatDivisions(track, count);
+    const length = (end - start) / count;
+    return Array.from({ length: count }, (_, i) => ({ start: start + i * length, end: start + (i + 1) * length }));
+}
+
+// Equal divisions on the beat grid: slices between grid lines spaced by the power-of-two number of beats
+// (… 1/4, 1/2, 1, 2 …) nearest to dividing the region into count. Audio between the start marker and the first
+// grid line, or after the last whole division, isn't sliced.
+function computeBeatDivisions(track, count) {
+    const { startTime: start, endTime: end, downbeatOffset } = track;
+    const beatSeconds = getBeatSeconds(track);
+    const step = beatSeconds * Math.pow(2, Math.round(Math.log2((end - start) / beatSeconds / count)));
+    // A grid line within SAMPLER_MIN_SLICE_SECONDS of a marker (one snapped to it, give or take) counts as on it
+    const first = Math.ceil((start - SAMPLER_MIN_SLICE_SECONDS - downbeatOffset) / step);
+    const slices = [];
+    for (let n = first; slices.length < count; n++) {
+        const sliceEnd = downbeatOffset + (n + 1) * step;
+        if (sliceEnd > end + SAMPLER_MIN_SLICE_SECONDS) break;
+        slices.push({ start: Math.max(start, downbeatOffset + n * step), end: Math.min(end, sliceEnd) });
+    }
+    return slices;
+}
+
+function sliceTrackRegion(trackId) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded) return;
+    track.slices = computeSlices(track, track.sliceModeSelect.value, parseInt(track.sliceCountSelect.value, 10));
+    console.log(`Track ${trackId}: ${track.slices.length} slices (${track.sliceModeSelect.value})`);
+    updatePadButtons(trackId);
+    drawWaveform(trackId);
+}
+
+// Shows or hides the pads; the first time they're shown the region is sliced with the current settings
+function setSamplerEnabled(trackId, enabled) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.samplerEnabled = enabled;
+    track.samplerToggle.checked = enabled;
+    track.padGrid.hidden = !enabled;
+    if (!enabled) stopPadVoices(track);
+    else if (track.slices.length === 0) sliceTrackRegion(trackId);
+    drawWaveform(trackId);
+}
+
+function cycleChokeGroup(trackId, index) {
+    const track = tracks[trackId];
+    if (!track) return;
+    track.padChokeGroups[index] = (track.padChokeGroups[index] + 1) % (SAMPLER_CHOKE_GROUPS + 1);
+    updatePadButtons(trackId);
+}
+
+// --- Voices ---
+async function triggerPad(trackId, index) {
+    const track = tracks[trackId];
+    const slice = track?.slices[index];
+    if (!track?.isLoaded || !track.samplerEnabled || !slice) return;
+    const ready = await initializeAudioAndWorklet();
+    if (!ready || !audioContext) {
+        alert("Audio system could not be initialized. Please try again.");
+        return;
+    }
+    if (!ensureTrackNodes(trackId)) return;
+
+    const now = audioContext.currentTime;
+    const group = track.padChokeGroups[index];
+    track.padVoices
+        .filter(voice => voice.index === index || (group > 0 && voice.group === group))
+        .forEach(voice => chokePadVoice(track, voice, now));
+
+    const source = audioContext.createBufferSource();
+    source.buffer = track.buffer;
+    source.playbackRate.value = track.tempo; // As in linear playback, the worklet cancels the pitch change
+    const gain = audioContext.createGain();
+    source.connect(gain);
+    gain.connect(track.inputNode);
+    const voice = { index, group, source, gain };
+    source.onended = () => {
+        gain.disconnect();
+        track.padVoices = track.padVoices.filter(v => v !== voice);
+        updatePadActivity(track);
+    };
+    source.start(now, slice.start, slice.end - slice.start);
+    track.padVoices.push(voice);
+    updatePadActivity(track);
+}
+
+function chokePadVoice(track, voice, when) {
+    voice.gain.gain.setTargetAtTime(0, when, SAMPLER_CHOKE_TIME_CONSTANT);
+    try {
+        voice.source.stop(when + SAMPLER_CHOKE_TIME_CONSTANT * 5);
+    } catch (e) { console.warn("Error stopping pad voice:", e.message); }
+    track.padVoices = track.padVoices.filter(v => v !== voice);
+}
+
+function stopPadVoices(track) {
+    if (!audioContext) return;
+    [...track.padVoices].forEach(voice => chokePadVoice(track, voice, audioContext.currentTime));
+    updatePadActivity(track);
+}
+
+// Called on tempo changes so ringing slices speed up or slow down with the track
+function setPadVoiceRate(track, tempo) {
+    track.padVoices.forEach(voice => { voice.source.playbackRate.value = tempo; });
+}
+
+// --- Pads and Waveform ---
+// Builds the track's 4×4 pad grid. Click plays a pad, Shift+click steps through its choke groups.
+function createPadButtons(trackId, container) {
+    return Array.from({ length: SAMPLER_PAD_COUNT }, (_, index) => {
+        const button = document.createElement('button');
+        button.className = 'pad';
+        button.id = `pad-${trackId}-${index + 1}`;
+        button.disabled = true;
+        button.addEventListener('click', (event) => {
+            if (event.shiftKey) {
+                withSnapshotHistory('slices', trackId, `Track ${trackId}: Choke group of pad ${index + 1}`,
+                    () => cycleChokeGroup(trackId, index));
+            } else {
+                triggerPad(trackId, index);
+            }
+        });
+        container.appendChild(button);
+        return button;
+    });
+}
+
+function updatePadButtons(trackId) {
+    const track = tracks[trackId];
+    if (!track?.padButtons) return;
+    track.padButtons.forEach((button, index) => {
+        const slice = track.slices[index];
+        const group = track.padChokeGroups[index];
+        button.disabled = !track.isLoaded || !slice;
+        button.textContent = String(index + 1);
+        if (group > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'pad-choke';
+            badge.textContent = `C${group}`;
+            button.appendChild(badge);
+        }
+        button.title = slice
+            ? `Pad ${index + 1}: ${slice.start.toFixed(2)}-${slice.end.toFixed(2)}s, ${group > 0 ? `choke group ${group}` : 'no choke group'} (Shift+click to change)`
+            : `Pad ${index + 1}: no slice`;
+    });
+    track.samplerToggle.disabled = !track.isLoaded;
+    track.sliceRegionButton.disabled = !track.isLoaded;
+}
+
+function updatePadActivity(track) {
+    track.padButtons?.forEach((button, index) => {
+        button.classList.toggle('active', track.padVoices.some(voice => voice.index === index));
+    });
+}
+
+function drawSlices(track, ctx, height) {
+    if (!track.samplerEnabled) return;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'left';
+    track.slices.forEach((slice, index) => {
+        const x = Math.round(timeToWaveformX(track, slice.start)) + 0.5;
+        if (x < 0 || x > track.canvas.width) return;
+        ctx.strokeStyle = SAMPLER_SLICE_COLOR;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = SAMPLER_SLICE_COLOR;
+        ctx.fillText(String(index + 1), x + 2, height - 3);
+    });
+}
@@ -1,94 +1,187 @@
 // --- Global Variables ---
-let audioContext;
-const tracks = {};
-let masterGainNode;
-let isWorkletLoaded = false; // Flag to track if the AudioWorklet module is loaded
-const WORKLET_URL = 'https://unpkg.com/@soundtouchjs/audio-worklet/dist/soundtouch-worklet.js';
-const WORKLET_NAME = 'soundtouch-processor';
+let audioContext; // engine.context once initialized
+const tracks = {}; // Track id -> the engine's track (engine.js) with the page's state and elements added
+let masterGainNode; // engine.masterGain once initialized
 const MARKER_CLICK_TOLERANCE = 5;
+let playheadAnimationFrame = null; // requestAnimationFrame id while any track is playing
 
 // --- DOM Element References ---
 const masterPlayPauseButton = document.getElementById('master-play-pause');
 const masterVolumeSlider = document.getElementById('master-volume');
+const trackContainer = document.getElementById('track-container');
+const trackTemplate = document.getElementById('track-template');
+const addTrackButton = document.getElementById('add-track');
+
+// --- Audio Engine ---
+// The page is one consumer of the engine: it routes each track through its effects, ducking, crossfader and
+// meter, and follows the engine's events to keep the controls in step with scripted changes.
+const engine = new MashyEngine({
+    masterVolume: parseFloat(masterVolumeSlider.value),
+    connectMaster: (context, masterGain) => {
+        audioContext = context;
+        masterGainNode = masterGain;
+        setupMasterBus(); // Limiter and master meter between masterGainNode and the destination
+    },
+    connectTrackInput: (track, node) => node.connect(ensureEffectsInput(track.id)),
+    // gainNode -> duckGainNode -> crossfadeGainNode -> master
+    connectTrackOutput: (track) => {
+        track.crossfadeGainNode = audioContext.createGain();
+        track.crossfadeGainNode.gain.value = getCrossfadeGain(track);
+        track.crossfadeGainNode.connect(masterGainNode);
+        createDuckGainNode(track);
+        createTrackMeter(track);
+    }
+});
 
 // --- Initialization ---
 // No audio context created initially, wait for user interaction
 window.addEventListener('load', () => {
     console.log("Page loaded. Setting up tracks (without AudioContext initially).");
-    setupTrack(1);
-    setupTrack(2);
+    addTrack();
+    addTrack();
 });
 
 // --- Function to Initialize AudioContext and Load Worklet ---
 async function initializeAudioAndWorklet() {
-    if (audioContext && isWorkletLoaded) {
-        // Already initialized
-        if (audioContext.state === 'suspended') {
-            await audioContext.resume(); // Resume if suspended
-        }
+    try {
+        await engine.init();
         return true;
+    } catch (e) {
+        console.error(`Audio initialization failed (${e.stage}):`, e.cause || e);
+        if (e.stage === 'context') {
+            alert('Web Audio API is not supported or could not be initialized.');
+        } else if (e.stage === 'resume') {
+            alert("Could not resume AudioContext. Please interact with the page again.");
+        } else {
+            alert(`Failed to load audio processing module. Check console for details. Ensure you are running from a local server (http://localhost:...) not a file:// URL.`);
+        }
+        return false;
     }
-    if (audioContext && !isWorkletLoaded) {
-        console.warn("AudioContext exists but worklet not loaded. Attempting load again.");
-        // Proceed to load worklet
-    }
+}
 
-    // First time or re-attempt after context creation failure
-    if (!audioContext) {
-        try {
-            console.log("Creating AudioContext...");
-            window.AudioContext = window.AudioContext || window.webkitAudioContext;
-            audioContext = new AudioContext();
-            console.log("AudioContext created. State:", audioContext.state);
+// --- Dynamic Track List ---
+function addTrack() {
+    return engine.addTrack().id; // The 'trackadded' listener builds its element
+}
 
-            masterGainNode = audioContext.createGain();
-            masterGainNode.gain.value = masterVolumeSlider.value;
-            masterGainNode.connect(audioContext.destination);
-            console.log("Master Gain Node created.");
+engine.on('trackadded', ({ track }) => {
+    trackContainer.appendChild(createTrackElement(track.id));
+    setupTrack(track.id);
+    updateDuckSourceOptions();
+    console.log(`Track ${track.id} added.`);
+});
 
-            // Add state change listener for robustness
-            audioContext.addEventListener('statechange', handleAudioContextStateChange);
+// Clones #track-template and assigns the per-track ids that setupTrack looks up
+function createTrackElement(trackId) {
+    const trackElement = trackTemplate.content.firstElementChild.cloneNode(true);
+    trackElement.id = `track${trackId}`;
+    trackElement.querySelector('.track-title').textContent = `Track ${trackId}`;
+    trackElement.querySelector('.file-input').id = `file-input-${trackId}`;
+    trackElement.querySelector('.file-name').id = `file-name-${trackId}`;
+    trackElement.querySelector('.waveform').id = `waveform-${trackId}`;
+    trackElement.querySelector('.waveform-overview').id = `waveform-overview-${trackId}`;
+    trackElement.querySelector('.snap-mode').id = `snap-mode-${trackId}`;
+    trackElement.querySelector('.snap-mode-label').htmlFor = `snap-mode-${trackId}`;
+    trackElement.querySelector('.zoom-fit').id = `zoom-fit-${trackId}`;
+    trackElement.querySelector('.automation-lane').id = `automation-lane-${trackId}`;
+    trackElement.querySelector('.automation-param').id = `automation-param-${trackId}`;
+    trackElement.querySelector('.automation-param-label').htmlFor = `automation-param-${trackId}`;
+    trackElement.querySelector('.automation-mode').id = `automation-mode-${trackId}`;
+    trackElement.querySelector('.automation-mode-label').htmlFor = `automation-mode-${trackId}`;
+    trackElement.querySelector('.clear-automation').id = `clear-automation-${trackId}`;
+    trackElement.querySelector('.play-pause').id = `play-pause-${trackId}`;
+    trackElement.querySelector('.volume').id = `volume-${trackId}`;
+    trackElement.querySelector('.tempo').id = `tempo-${trackId}`;
+    trackElement.querySelector('.tempo-value').id = `tempo-value-${trackId}`;
+    trackElement.querySelector('.pitch').id = `pitch-${trackId}`;
+    trackElement.querySelector('.pitch-value').id = `pitch-value-${trackId}`;
+    trackElement.querySelector('.loop-toggle').id = `loop-${trackId}`;
+    trackElement.querySelector('.loop-label').htmlFor = `loop-${trackId}`;
+    trackElement.querySelector('.remove-track').id = `remove-track-${trackId}`;
+    trackElement.querySelector('.bpm').id = `bpm-${trackId}`;
+    trackElement.querySelector('.bpm-label').htmlFor = `bpm-${trackId}`;
+    trackElement.querySelector('.key-value').id = `key-value-${trackId}`;
+    trackElement.querySelector('.downbeat').id = `downbeat-${trackId}`;
+    trackElement.querySelector('.downbeat-label').htmlFor = `downbeat-${trackId}`;
+    trackElement.querySelector('.set-downbeat').id = `set-downbeat-${trackId}`;
+    trackElement.querySelector('.loop-presets').id = `loop-presets-${trackId}`;
+    trackElement.querySelector('.hot-cues').id = `hot-cues-${trackId}`;
+    trackElement.querySelector('.hot-cue-quantize').id = `hot-cue-quantize-${trackId}`;
+    trackElement.querySelector('.hot-cue-quantize-label').htmlFor = `hot-cue-quantize-${trackId}`;
+    trackElement.querySelector('.key-match-source').id = `key-match-source-${trackId}`;
+    trackElement.querySelector('.key-match-label').htmlFor = `key-match-source-${trackId}`;
+    trackElement.querySelector('.key-match').id = `key-match-${trackId}`;
+    trackElement.querySelector('.stem-method').id = `stem-method-${trackId}`;
+    trackElement.querySelector('.stem-method-label').htmlFor = `stem-method-${trackId}`;
+    trackElement.querySelector('.extract-stems').id = `extract-stems-${trackId}`;
+    trackElement.querySelector('.stem-source').id = `stem-source-${trackId}`;
+    trackElement.querySelector('.stem-source-label').htmlFor = `stem-source-${trackId}`;
+    trackElement.querySelector('.stems-to-tracks').id = `stems-to-tracks-${trackId}`;
+    trackElement.querySelector('.stem-status').id = `stem-status-${trackId}`;
+    trackElement.querySelector('.edit-type').id = `edit-type-${trackId}`;
+    trackElement.querySelector('.edit-type-label').htmlFor = `edit-type-${trackId}`;
+    trackElement.querySelector('.edit-amount').id = `edit-amount-${trackId}`;
+    trackElement.querySelector('.edit-amount-label').htmlFor = `edit-amount-${trackId}`;
+    trackElement.querySelector('.edit-curve').id = `edit-curve-${trackId}`;
+    trackElement.querySelector('.apply-edit').id = `apply-edit-${trackId}`;
+    trackElement.querySelector('.revert-edits').id = `revert-edits-${trackId}`;
+    trackElement.querySelector('.edit-list').id = `edit-list-${trackId}`;
+    trackElement.querySelector('.sampler-toggle').id = `sampler-toggle-${trackId}`;
+    trackElement.querySelector('.sampler-toggle-label').htmlFor = `sampler-toggle-${trackId}`;
+    trackElement.querySelector('.slice-mode').id = `slice-mode-${trackId}`;
+    trackElement.querySelector('.slice-mode-label').htmlFor = `slice-mode-${trackId}`;
+    trackElement.querySelector('.slice-count').id = `slice-count-${trackId}`;
+    trackElement.querySelector('.slice-count-label').htmlFor = `slice-count-${trackId}`;
+    trackElement.querySelector('.slice-region').id = `slice-region-${trackId}`;
+    trackElement.querySelector('.pad-grid').id = `pad-grid-${trackId}`;
+    trackElement.querySelector('.add-clip').id = `add-clip-${trackId}`;
+    trackElement.querySelector('.add-effect-type').id = `add-effect-type-${trackId}`;
+    trackElement.querySelector('.add-effect-label').htmlFor = `add-effect-type-${trackId}`;
+    trackElement.querySelector('.add-effect').id = `add-effect-${trackId}`;
+    trackElement.querySelector('.effect-list').id = `effect-list-${trackId}`;
+    trackElement.querySelector('.crossfader-side').id = `crossfader-side-${trackId}`;
+    trackElement.querySelector('.level-meter').id = `level-meter-${trackId}`;
+    trackElement.querySelector('.clip-indicator').id = `clip-indicator-${trackId}`;
+    trackElement.querySelector('.crossfader-side-label').htmlFor = `crossfader-side-${trackId}`;
+    ['source', 'threshold', 'amount', 'attack', 'release'].forEach(setting => {
+        trackElement.querySelector(`.duck-${setting}`).id = `duck-${setting}-${trackId}`;
+        trackElement.querySelector(`.duck-${setting}-label`).htmlFor = `duck-${setting}-${trackId}`;
+    });
+    return trackElement;
+}
 
-        } catch (e) {
-            alert('Web Audio API is not supported or could not be initialized.');
-            console.error("Error initializing AudioContext:", e);
-            audioContext = null; // Ensure it's null on failure
-            return false;
-        }
-    }
+function removeTrack(trackId) {
+    engine.removeTrack(trackId); // Stops playback and releases the track's audio nodes
+}
 
-    // Ensure context is running before adding module
-    if (audioContext.state === 'suspended') {
-        console.log("AudioContext suspended, resuming before loading worklet...");
-        try {
-            await audioContext.resume();
-             console.log("AudioContext resumed.");
-        } catch (err) {
-            console.error("Failed to resume AudioContext:", err);
-            alert("Could not resume AudioContext. Please interact with the page again.");
-            return false;
-        }
+engine.on('trackremoved', ({ track }) => {
+    const trackId = track.id;
+    disconnectTrackEffects(track);
+    if (track.duckGainNode) {
+        track.duckGainNode.disconnect();
+        track.duckGainNode = null;
     }
-
-    // Load the AudioWorklet module
-    if (!isWorkletLoaded) {
-        console.log(`Attempting to load AudioWorklet module from: ${WORKLET_URL}`);
-        try {
-            await audioContext.audioWorklet.addModule(WORKLET_URL);
-            console.log("AudioWorklet module loaded successfully!");
-            isWorkletLoaded = true;
-            return true;
-        } catch (e) {
-            console.error("Error loading AudioWorklet module:", e);
-            alert(`Failed to load audio processing module. Check console for details. Ensure you are running from a local server (http://localhost:...) not a file:// URL.`);
-            // Don't nullify audioContext here, maybe user can try again
-            isWorkletLoaded = false;
-            return false;
-        }
+    if (track.crossfadeGainNode) {
+        track.crossfadeGainNode.disconnect();
+        track.crossfadeGainNode = null;
+        track.meterAnalyser = null;
     }
-    return true; // Should already be loaded if we reached here
-}
+    window.removeEventListener('mouseup', track.windowMouseUpHandler);
 
+    const trackElement = document.getElementById(`track${trackId}`);
+    if (trackElement) trackElement.remove();
+    delete tracks[trackId];
+
+    console.log(`Track ${trackId} removed.`);
+    updateSyncSourceOptions();
+    updateKeyMatchOptions();
+    forgetDuckSource(trackId);
+    updateDuckSourceOptions();
+    drawArrangement();
+    checkMasterPlayEnable();
+});
+
+addTrackButton.addEventListener('click', addTrack);
 
 // --- Track Setup Function ---
 function setupTrack(trackId) {
@@ -103,59 +196,226 @@ function setupTrack(trackId) {
     const volumeSlider = document.getElementById(`volume-${trackId}`);
     const loopToggle = document.getElementById(`loop-${trackId}`);
     const canvasCtx = waveformCanvas.getContext('2d');
+    const overviewCanvas = document.getElementById(`waveform-overview-${trackId}`);
+    const snapModeSelect = document.getElementById(`snap-mode-${trackId}`);
+    const zoomFitButton = document.getElementById(`zoom-fit-${trackId}`);
+    const automationCanvas = document.getElementById(`automation-lane-${trackId}`);
+    const automationParamSelect = document.getElementById(`automation-param-${trackId}`);
+    const automationModeSelect = document.getElementById(`automation-mode-${trackId}`);
+    const clearAutomationButton = document.getElementById(`clear-automation-${trackId}`);
     const tempoSlider = document.getElementById(`tempo-${trackId}`);
     const tempoValueDisplay = document.getElementById(`tempo-value-${trackId}`);
     const pitchSlider = document.getElementById(`pitch-${trackId}`);
     const pitchValueDisplay = document.getElementById(`pitch-value-${trackId}`);
-
-    tracks[trackId] = {
-        id: trackId,
-        buffer: null,
-        sourceNode: null, // Plays the original audio into the worklet
-        soundtouchNode: null, // The AudioWorkletNode instance
-        gainNode: null, // Will be created *with* AudioContext
+    const removeTrackButton = document.getElementById(`remove-track-${trackId}`);
+    const bpmInput = document.getElementById(`bpm-${trackId}`);
+    const keyDisplay = document.getElementById(`key-value-${trackId}`);
+    const downbeatInput = document.getElementById(`downbeat-${trackId}`);
+    const setDownbeatButton = document.getElementById(`set-downbeat-${trackId}`);
+    const loopPresetsContainer = document.getElementById(`loop-presets-${trackId}`);
+    const hotCuesContainer = document.getElementById(`hot-cues-${trackId}`);
+    const hotCueQuantizeToggle = document.getElementById(`hot-cue-quantize-${trackId}`);
+    const keyMatchSelect = document.getElementById(`key-match-source-${trackId}`);
+    const keyMatchButton = document.getElementById(`key-match-${trackId}`);
+    const stemMethodSelect = document.getElementById(`stem-method-${trackId}`);
+    const extractStemsButton = document.getElementById(`extract-stems-${trackId}`);
+    const stemSourceSelect = document.getElementById(`stem-source-${trackId}`);
+    const stemsToTracksButton = document.getElementById(`stems-to-tracks-${trackId}`);
+    const stemStatusDisplay = document.getElementById(`stem-status-${trackId}`);
+    const editTypeSelect = document.getElementById(`edit-type-${trackId}`);
+    const editAmountInput = document.getElementById(`edit-amount-${trackId}`);
+    const editCurveSelect = document.getElementById(`edit-curve-${trackId}`);
+    const applyEditButton = document.getElementById(`apply-edit-${trackId}`);
+    const revertEditsButton = document.getElementById(`revert-edits-${trackId}`);
+    const samplerToggle = document.getElementById(`sampler-toggle-${trackId}`);
+    const sliceRegionButton = document.getElementById(`slice-region-${trackId}`);
+    const padGrid = document.getElementById(`pad-grid-${trackId}`);
+    const addClipButton = document.getElementById(`add-clip-${trackId}`);
+    const addEffectTypeSelect = document.getElementById(`add-effect-type-${trackId}`);
+    const addEffectButton = document.getElementById(`add-effect-${trackId}`);
+    const effectsList = document.getElementById(`effect-list-${trackId}`);
+    const crossfaderSideSelect = document.getElementById(`crossfader-side-${trackId}`);
+    const clipIndicator = document.getElementById(`clip-indicator-${trackId}`);
+    const duckSourceSelect = document.getElementById(`duck-source-${trackId}`);
+    const duckSliders = ['threshold', 'amount', 'attack', 'release']
+        .map(setting => document.getElementById(`duck-${setting}-${trackId}`));
+    const [duckThresholdDisplay, duckAmountDisplay, duckAttackDisplay, duckReleaseDisplay] = ['threshold', 'amount', 'attack', 'release']
+        .map(setting => trackElement.querySelector(`.duck-${setting}-value`));
+    // Kept on the track so removeTrack can detach it from window
+    const windowMouseUpHandler = (event) => handleCanvasMouseUp(event, trackId);
+
+    // The engine's track holds the playback state (buffer, region, tempo, nodes...); the page adds its own
+    tracks[trackId] = Object.assign(engine.getTrack(trackId), {
+        sourceBuffers: {}, // Stem name -> AudioBuffer; 'mix' is the decoded file
+        activeSource: 'mix', // Key of sourceBuffers that track.buffer points to
+        stemMethod: null, // Separator id the stems were extracted with
+        isExtractingStems: false,
+        edits: [], // Clip edits applied in order to the source buffer: { type, ...settings } (see edits.js)
+        crossfadeGainNode: null, // Crossfader stage after gainNode
+        crossfaderSide: 'thru', // 'A', 'B' or 'thru'
+        duckGainNode: null, // Sidechain ducking stage between gainNode and crossfadeGainNode
+        duckSource: '', // '' (off), 'pump' or the id of the track whose level ducks this one
+        duckTarget: 1, // Gain the follower is heading to
+        duckScheduledUntil: 0, // AudioContext time pump envelopes are scheduled up to
+        meterAnalyser: null, // Tapped off crossfadeGainNode for the level meter
+        meterState: createMeterState(document.getElementById(`level-meter-${trackId}`), clipIndicator),
+        volume: parseFloat(volumeSlider.value),
         tempo: parseFloat(tempoSlider.value),
         pitchSemitones: parseFloat(pitchSlider.value),
-        isPlaying: false,
-        isLoaded: false,
         isLooping: loopToggle.checked,
-        playbackStartTime: 0, // audioContext.currentTime when playback started
-        playbackOffset: 0, // Offset within the source buffer when starting/resuming
-        startTime: 0, // Loop/segment start time
-        endTime: 0, // Loop/segment end time
+        bpm: null, // Detected (or user-entered) BPM of the source material
+        downbeatOffset: 0, // Buffer time of the first bar line of the beat grid
+        hotCues: createEmptyHotCues(), // Buffer times of the hot cues, null for empty slots
+        key: null, // Detected key: { root: pitch class, mode: 'major' | 'minor' }
+        clips: [], // Arrangement clips: { id, songStart, offset, duration, repeats }
+        automation: createEmptyAutomation(), // Lane name -> breakpoints { time (buffer seconds), value } sorted by time
+        automationMode: automationModeSelect.value, // 'off', 'read' or 'write'
+        automationLane: automationParamSelect.value, // Lane shown and edited under the waveform
+        automationTouch: {}, // Lane name -> { time, lastWrite, before } while its control is being written
+        automationScheduled: {}, // Lane name -> { param, until } for the AudioParam ramps scheduled so far
+        pendingState: null, // Saved project state waiting for this track's audio to be re-selected
+        effects: [], // Insert effects in chain order: { id, type, bypassed, params, nodes }
+        effectsInput: null, // GainNode between the worklet and the first effect
+        waveformCache: null, // Offscreen canvas holding the rendered waveform view
+        waveformCacheBuffer: null, // Buffer the cache was rendered from
+        waveformCacheKey: null, // View and size the cache was rendered at
+        waveformView: null, // Zoom/scroll window: { buffer, start, duration, wasPlayheadVisible }
+        peakCache: null, // Per-channel min/max/RMS blocks of the buffer
+        overviewCache: null, // Rendered mini-map of the whole buffer
+        transientCache: null, // Detected transient times for snapping
         draggingMarker: null,
         isDragging: false,
+        dragRegionBefore: null, // Start/end/loop state when the current marker drag began (for undo)
+        selectedMarker: 'start', // Marker the keyboard nudges and the canvas reports as an ARIA slider
+        samplerEnabled: false, // Pad grid shown and slices drawn
+        slices: [], // Sampler slices in buffer time, one per pad: { start, end }
+        padChokeGroups: createEmptyChokeGroups(),
+        padVoices: [], // Sounding pad hits: { index, group, source, gain }
         playPauseButton,
         volumeSlider,
         loopToggle,
         canvas: waveformCanvas,
         canvasCtx,
+        overviewCanvas,
+        snapModeSelect,
+        automationCanvas,
+        automationCtx: automationCanvas.getContext('2d'),
+        automationModeSelect,
         fileNameDisplay,
         tempoSlider,
         tempoValueDisplay,
         pitchSlider,
-        pitchValueDisplay
-    };
+        pitchValueDisplay,
+        bpmInput,
+        keyDisplay,
+        downbeatInput,
+        setDownbeatButton,
+        loopPresetButtons: createLoopPresetButtons(trackId, loopPresetsContainer),
+        hotCueButtons: createHotCueButtons(trackId, hotCuesContainer),
+        hotCueQuantizeToggle,
+        keyMatchSelect,
+        keyMatchButton,
+        stemMethodSelect,
+        extractStemsButton,
+        stemSourceSelect,
+        stemsToTracksButton,
+        stemStatusDisplay,
+        editTypeSelect,
+        editAmountInput,
+        editAmountLabel: trackElement.querySelector('.edit-amount-label'),
+        editCurveSelect,
+        applyEditButton,
+        revertEditsButton,
+        editList: document.getElementById(`edit-list-${trackId}`),
+        samplerToggle,
+        sliceModeSelect: document.getElementById(`slice-mode-${trackId}`),
+        sliceCountSelect: document.getElementById(`slice-count-${trackId}`),
+        sliceRegionButton,
+        padGrid,
+        padButtons: createPadButtons(trackId, padGrid),
+        addClipButton,
+        effectsList,
+        crossfaderSideSelect,
+        duckSourceSelect,
+        duckThresholdSlider: duckSliders[0],
+        duckAmountSlider: duckSliders[1],
+        duckAttackSlider: duckSliders[2],
+        duckReleaseSlider: duckSliders[3],
+        duckThresholdDisplay,
+        duckAmountDisplay,
+        duckAttackDisplay,
+        duckReleaseDisplay,
+        windowMouseUpHandler
+    });
 
     // Add listeners (these work even without AudioContext)
     fileInput.addEventListener('change', (event) => handleFileLoad(event, trackId));
     playPauseButton.addEventListener('click', () => togglePlayPause(trackId));
     volumeSlider.addEventListener('input', (event) => handleVolumeChange(event, trackId));
+    volumeSlider.addEventListener('input', () => writeAutomation(trackId, 'volume', parseFloat(volumeSlider.value)));
     loopToggle.addEventListener('change', (event) => handleLoopToggleChange(event, trackId));
     tempoSlider.addEventListener('input', (event) => handleTempoChange(event, trackId));
+    tempoSlider.addEventListener('input', () => writeAutomation(trackId, 'tempo', parseFloat(tempoSlider.value)));
     pitchSlider.addEventListener('input', (event) => handlePitchChange(event, trackId));
+    pitchSlider.addEventListener('input', () => writeAutomation(trackId, 'pitch', parseFloat(pitchSlider.value)));
     waveformCanvas.addEventListener('mousedown', (event) => handleCanvasMouseDown(event, trackId));
     waveformCanvas.addEventListener('mousemove', (event) => handleCanvasMouseMove(event, trackId));
-    window.addEventListener('mouseup', (event) => handleCanvasMouseUp(event, trackId));
+    window.addEventListener('mouseup', windowMouseUpHandler);
     waveformCanvas.addEventListener('mouseleave', (event) => handleCanvasMouseLeave(event, trackId));
+    waveformCanvas.addEventListener('wheel', (event) => handleWaveformWheel(event, trackId), { passive: false });
+    overviewCanvas.addEventListener('mousedown', (event) => handleOverviewMouse(event, trackId));
+    overviewCanvas.addEventListener('mousemove', (event) => handleOverviewMouse(event, trackId));
+    zoomFitButton.addEventListener('click', () => setWaveformView(trackId, 0, tracks[trackId].buffer?.duration || 0));
+    automationCanvas.addEventListener('mousedown', (event) => handleAutomationMouseDown(event, trackId));
+    automationCanvas.addEventListener('mousemove', (event) => handleAutomationMouseMove(event, trackId));
+    automationParamSelect.addEventListener('change', (event) => {
+        tracks[trackId].automationLane = event.target.value;
+        drawWaveform(trackId);
+    });
+    automationModeSelect.addEventListener('change', (event) => setAutomationMode(trackId, event.target.value));
+    clearAutomationButton.addEventListener('click', () => {
+        const lane = tracks[trackId].automationLane;
+        withSnapshotHistory('automation', trackId, `Track ${trackId}: Clear ${AUTOMATION_PARAMS[lane].label.toLowerCase()}`,
+            () => clearAutomationLane(trackId, lane));
+    });
+    if (removeTrackButton) removeTrackButton.addEventListener('click', () => removeTrack(trackId));
+    if (bpmInput) bpmInput.addEventListener('change', (event) => handleBpmInputChange(event, trackId));
+    if (downbeatInput) downbeatInput.addEventListener('change', (event) => setDownbeatOffset(trackId, parseFloat(event.target.value)));
+    if (setDownbeatButton) setDownbeatButton.addEventListener('click', () => setDownbeatOffset(trackId, tracks[trackId].startTime));
+    if (keyMatchButton) keyMatchButton.addEventListener('click', () => matchTrackKey(trackId));
+    fillStemMethodOptions(stemMethodSelect);
+    extractStemsButton.addEventListener('click', () => extractTrackStems(trackId));
+    stemSourceSelect.addEventListener('change', (event) => selectTrackSource(trackId, event.target.value));
+    stemsToTracksButton.addEventListener('click', () => loadStemsIntoNewTracks(trackId));
+    fillEditTypeOptions(editTypeSelect);
+    fillEditCurveOptions(editCurveSelect);
+    updateEditControls(trackId);
+    editTypeSelect.addEventListener('change', () => updateEditControls(trackId));
+    applyEditButton.addEventListener('click', () => {
+        withSnapshotHistory('edits', trackId, `Track ${trackId}: ${EDIT_TYPES[editTypeSelect.value].label}`,
+            () => addTrackEdit(trackId, createTrackEditFromControls(trackId)));
+    });
+    revertEditsButton.addEventListener('click', () => {
+        withSnapshotHistory('edits', trackId, `Track ${trackId}: Revert edits`, () => revertTrackEdits(trackId));
+    });
+    updatePadButtons(trackId);
+    samplerToggle.addEventListener('change', (event) => setSamplerEnabled(trackId, event.target.checked));
+    sliceRegionButton.addEventListener('click', () => {
+        withSnapshotHistory('slices', trackId, `Track ${trackId}: Slice region`, () => sliceTrackRegion(trackId));
+    });
+    if (addClipButton) addClipButton.addEventListener('click', () => addClipFromMarkers(trackId));
+    if (addEffectButton) addEffectButton.addEventListener('click', () => {
+        withSnapshotHistory('effects', trackId, `Track ${trackId}: Add ${EFFECT_DEFINITIONS[addEffectTypeSelect.value].label}`,
+            () => addEffect(trackId, addEffectTypeSelect.value));
+    });
+    if (crossfaderSideSelect) crossfaderSideSelect.addEventListener('change', (event) => setTrackCrossfaderSide(trackId, event.target.value));
+    if (clipIndicator) clipIndicator.addEventListener('click', () => resetClipIndicator(clipIndicator));
+    duckSourceSelect.addEventListener('change', (event) => setDuckSource(trackId, event.target.value));
+    duckSliders.forEach(slider => slider.addEventListener('input', () => updateDuckSettingDisplays(tracks[trackId])));
 }
 
 // --- Master Control Event Listeners ---
-masterVolumeSlider.addEventListener('input', (event) => {
-    if (masterGainNode && audioContext) {
-        masterGainNode.gain.linearRampToValueAtTime(parseFloat(event.target.value), audioContext.currentTime + 0.05);
-    }
-});
+masterVolumeSlider.addEventListener('input', (event) => engine.setMasterVolume(parseFloat(event.target.value)));
 masterPlayPauseButton.addEventListener('click', toggleMasterPlayPause);
 
 // --- Audio Loading ---
@@ -171,85 +431,93 @@ async function handleFileLoad(event, trackId) {
 
     const file = event.target.files[0];
     if (!file) return;
+    await loadFileIntoTrack(file, trackId);
+}
 
+// Reads and decodes a File into the track. Resolves to true once the buffer is in place.
+async function loadFileIntoTrack(file, trackId) {
     const track = tracks[trackId];
     resetTrackState(trackId); // Reset before loading
 
     track.fileNameDisplay.textContent = `Loading: ${file.name}...`;
     track.playPauseButton.disabled = true;
 
+    let arrayBuffer;
     try {
-        const arrayBuffer = await file.arrayBuffer();
-        // Use the now guaranteed existing audioContext
-        audioContext.decodeAudioData(arrayBuffer, (decodedBuffer) => {
-            track.buffer = decodedBuffer;
-            track.isLoaded = true;
-            track.playPauseButton.disabled = false;
-            track.fileNameDisplay.textContent = file.name;
-            track.startTime = 0;
-            track.endTime = decodedBuffer.duration;
-            track.playbackOffset = 0; // Reset offset on new load
-
-            // Create track-specific gain node now that context exists
-            if (!track.gainNode) {
-                 track.gainNode = audioContext.createGain();
-                 track.gainNode.gain.value = track.volumeSlider.value;
-                 track.gainNode.connect(masterGainNode); // Connect to master
-            }
-
-            track.tempoSlider.disabled = false;
-            track.pitchSlider.disabled = false;
-            track.loopToggle.disabled = false;
-
-            drawWaveform(trackId);
-            checkMasterPlayEnable();
-            track.canvas.classList.add('interactive');
-        }, (error) => {
-            console.error(`Error decoding audio data for track ${trackId}:`, error);
-            alert(`Error decoding file "${file.name}". Check console.`);
-            resetTrackState(trackId);
-            track.fileNameDisplay.textContent = 'Load failed';
-        });
+        arrayBuffer = await file.arrayBuffer();
     } catch (error) {
         console.error(`Error reading file for track ${trackId}:`, error);
         alert(`Error reading file "${file.name}".`);
         resetTrackState(trackId);
         track.fileNameDisplay.textContent = 'Load failed';
+        return false;
+    }
+
+    try {
+        // Use the now guaranteed existing audioContext
+        const decodedBuffer = await new Promise((resolve, reject) => audioContext.decodeAudioData(arrayBuffer, resolve, reject));
+        if (tracks[trackId] !== track) return false; // Track was removed while decoding
+        loadBufferIntoTrack(trackId, decodedBuffer, file.name);
+        return true;
+    } catch (error) {
+        console.error(`Error decoding audio data for track ${trackId}:`, error);
+        alert(`Error decoding file "${file.name}". Check console.`);
+        resetTrackState(trackId);
+        track.fileNameDisplay.textContent = 'Load failed';
+        return false;
     }
 }
 
+// Puts an already decoded AudioBuffer into the track as if it had been loaded from a file
+function loadBufferIntoTrack(trackId, decodedBuffer, fileName) {
+    tracks[trackId].loadBuffer(decodedBuffer, fileName);
+}
+
+engine.on('load', ({ track }) => {
+    const trackId = track.id;
+    track.playPauseButton.disabled = false;
+    track.fileNameDisplay.textContent = track.fileName;
+
+    // Create track-specific gain node now that context exists
+    track.ensureOutput();
+
+    track.tempoSlider.disabled = false;
+    track.pitchSlider.disabled = false;
+    track.loopToggle.disabled = false;
+    track.bpmInput.disabled = false;
+    track.addClipButton.disabled = false;
+    resetTrackStems(trackId); // Stems of a previous file don't apply
+    resetTrackEdits(trackId); // Nor do its edits
+
+    // Settings restored from a project file take precedence over fresh analysis
+    const restoredState = track.pendingState;
+    track.pendingState = null;
+    if (restoredState) applyTrackState(trackId, restoredState);
+
+    updateBeatGridControls(trackId);
+    updateHotCueButtons(trackId);
+    updatePadButtons(trackId);
+    drawWaveform(trackId);
+    drawArrangement();
+    // Let the waveform paint before the analysis blocks
+    setTimeout(() => {
+        if (!restoredState?.bpm) analyzeTrackBpm(trackId);
+        if (!restoredState?.key) analyzeTrackKey(trackId);
+    }, 0);
+    checkMasterPlayEnable();
+    track.canvas.classList.add('interactive');
+});
+
 // --- Reset Track State ---
 function resetTrackState(trackId) {
-    const track = tracks[trackId];
-    if (!track) return;
+    tracks[trackId]?.reset();
+}
 
-    if (track.isPlaying) {
-        _performTogglePlayPause(trackId); // Attempt to stop
-    }
-    // Ensure nodes are cleaned up
-    if (track.sourceNode) {
-        try { track.sourceNode.stop(); } catch(e) {}
-        track.sourceNode.disconnect();
-        track.sourceNode.onended = null;
-        track.sourceNode = null;
-    }
-    if (track.soundtouchNode) {
-        track.soundtouchNode.disconnect();
-        // Cannot remove parameters once created, but node will be garbage collected
-        track.soundtouchNode = null;
-    }
-     // Don't disconnect track.gainNode from masterGainNode here, just reset value
-     if (track.gainNode) track.gainNode.gain.value = track.volumeSlider.value;
-
-
-    track.isPlaying = false;
-    track.isLoaded = false;
-    track.buffer = null;
-    track.startTime = 0;
-    track.endTime = 0;
-    track.playbackOffset = 0;
-    track.tempo = 1.0;
-    track.pitchSemitones = 0.0;
+// The engine has stopped the track and cleared its buffer, region, tempo, pitch and loop
+engine.on('reset', ({ track }) => {
+    const trackId = track.id;
+    resetTrackStems(trackId);
+    resetTrackEdits(trackId);
     track.draggingMarker = null;
     track.isDragging = false;
 
@@ -263,6 +531,7 @@ function resetTrackState(trackId) {
         track.canvasCtx.fillRect(0, 0, track.canvas.width, track.canvas.height);
         track.canvas.classList.remove('interactive');
     }
+    drawWaveformOverview(trackId);
     if (track.tempoSlider) {
         track.tempoSlider.value = 1.0;
         track.tempoSlider.disabled = true;
@@ -277,10 +546,36 @@ function resetTrackState(trackId) {
         track.loopToggle.checked = false;
         track.loopToggle.disabled = true;
     }
-    track.isLooping = false;
-}
+    track.bpm = null;
+    if (track.bpmInput) {
+        track.bpmInput.value = '';
+        track.bpmInput.disabled = true;
+    }
+    track.key = null;
+    if (track.keyDisplay) track.keyDisplay.textContent = '--';
+    updateKeyMatchOptions();
+    track.downbeatOffset = 0;
+    if (track.downbeatInput) track.downbeatInput.value = '';
+    updateBeatGridControls(trackId);
+    // Cues point into the old buffer too
+    track.hotCues = createEmptyHotCues();
+    updateHotCueButtons(trackId);
+    // So do sampler slices
+    stopPadVoices(track);
+    track.slices = [];
+    updatePadButtons(trackId);
+    // And automation lanes
+    track.automation = createEmptyAutomation();
+    track.automationTouch = {};
+    releaseAutomation(track);
+    // Clips point into the old buffer
+    track.clips = [];
+    if (track.addClipButton) track.addClipButton.disabled = true;
+    drawArrangement();
+});
 
-// --- Waveform Drawing (Unchanged) ---
+// --- Waveform Drawing ---
+// Draws the zoomed view (see waveform.js) with the start/end markers and playhead, then the mini-map
 function drawWaveform(trackId) {
     const track = tracks[trackId];
     if (!track?.canvasCtx || !track?.canvas) return;
@@ -290,53 +585,66 @@ function drawWaveform(trackId) {
     const height = canvas.height;
     ctx.fillStyle = '#282c34';
     ctx.fillRect(0, 0, width, height);
+    drawWaveformOverview(trackId);
+    drawAutomationLane(track);
+    updateWaveformAria(track);
     if (!track.buffer || !track.isLoaded) return;
     const buffer = track.buffer;
     const duration = buffer.duration;
     if (buffer.numberOfChannels > 0 && buffer.length > 0 && duration > 0) {
-        const data = buffer.getChannelData(0);
-        const step = Math.ceil(data.length / width);
-        const amp = height / 2;
-        ctx.lineWidth = 1;
-        ctx.strokeStyle = '#61dafb';
-        ctx.beginPath();
-        let x = 0;
-        for (let i = 0; i < data.length; i += step) {
-            let min = 1.0;
-            let max = -1.0;
-            for (let j = 0; j < step && i + j < data.length; j++) {
-                const datum = data[i + j];
-                if (datum < min) min = datum;
-                if (datum > max) max = datum;
-            }
-            const yMin = Math.max(0, Math.min(height, amp + min * amp));
-            const yMax = Math.max(0, Math.min(height, amp + max * amp));
-            if (yMax <= yMin + 1) { ctx.moveTo(x + 0.5, yMin); ctx.lineTo(x + 0.5, yMin + 1); }
-            else { ctx.moveTo(x + 0.5, yMin); ctx.lineTo(x + 0.5, yMax); }
-            x++;
-            if (x >= width) break;
+        const position = track.getPosition();
+        followPlayhead(track, position);
+        const view = getWaveformView(track);
+        // Rendering the peaks is too slow for per-frame playhead redraws, so reuse it until the view changes
+        const cacheKey = `${view.start}:${view.duration}:${width}:${height}`;
+        if (track.waveformCacheBuffer !== buffer || track.waveformCacheKey !== cacheKey) {
+            track.waveformCache = renderWaveformImage(track, view.start, view.duration, width, height);
+            track.waveformCacheBuffer = buffer;
+            track.waveformCacheKey = cacheKey;
         }
-        ctx.stroke();
-        const startX = (track.startTime / duration) * width;
+        ctx.drawImage(track.waveformCache, 0, 0);
+        drawBeatGrid(track, ctx, width, height);
+        drawHotCues(track, ctx, height);
+        drawSlices(track, ctx, height);
+        const startX = timeToWaveformX(track, track.startTime);
         ctx.strokeStyle = 'rgba(0, 255, 0, 0.8)'; ctx.lineWidth = 2; ctx.beginPath();
         ctx.moveTo(startX, 0); ctx.lineTo(startX, height); ctx.stroke();
-        const endX = (track.endTime / duration) * width;
+        const endX = timeToWaveformX(track, track.endTime);
         ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)'; ctx.lineWidth = 2; ctx.beginPath();
         ctx.moveTo(endX, 0); ctx.lineTo(endX, height); ctx.stroke();
+        const playheadX = timeToWaveformX(track, position);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)'; ctx.lineWidth = 1; ctx.beginPath();
+        ctx.moveTo(playheadX + 0.5, 0); ctx.lineTo(playheadX + 0.5, height); ctx.stroke();
     } else {
         ctx.fillStyle = '#aaaaaa'; ctx.font = '14px sans-serif'; ctx.textAlign = 'center';
         ctx.fillText('No Audio Data', width / 2, height / 2);
     }
 }
 
+// --- Playhead Animation ---
+function updatePlayheads() {
+    playheadAnimationFrame = null;
+    const playingTracks = Object.values(tracks).filter(t => t?.isPlaying);
+    playingTracks.forEach(t => drawWaveform(t.id));
+    if (playingTracks.length > 0) {
+        playheadAnimationFrame = requestAnimationFrame(updatePlayheads);
+    }
+}
+
+function startPlayheadAnimation() {
+    if (playheadAnimationFrame === null) {
+        playheadAnimationFrame = requestAnimationFrame(updatePlayheads);
+    }
+}
+
 // --- Canvas Interaction Helpers (Unchanged) ---
 function getMousePos(canvas, evt) { /* ... */ }
-function getTimeFromX(x, canvasWidth, duration) { /* ... */ }
+function getTimeFromX(x, track) { /* ... */ }
 function getMarkerAtX(x, track) { /* ... */ }
 // Implementation from previous version...
 function getMousePos(canvas, evt) { const rect = canvas.getBoundingClientRect(); return { x: evt.clientX - rect.left, y: evt.clientY - rect.top }; }
-function getTimeFromX(x, canvasWidth, duration) { const clampedX = Math.max(0, Math.min(canvasWidth, x)); return (clampedX / canvasWidth) * duration; }
-function getMarkerAtX(x, track) { if (!track.isLoaded || !track.buffer) return null; const width = track.canvas.width; const duration = track.buffer.duration; if (duration <= 0) return null; const startX = (track.startTime / duration) * width; const endX = (track.endTime / duration) * width; if (Math.abs(x - startX) <= MARKER_CLICK_TOLERANCE) return 'start'; if (Math.abs(x - endX) <= MARKER_CLICK_TOLERANCE) return 'end'; return null; }
+function getTimeFromX(x, track) { return waveformXToTime(track, x); }
+function getMarkerAtX(x, track) { if (!track.isLoaded || !track.buffer) return null; const duration = track.buffer.duration; if (duration <= 0) return null; const startX = timeToWaveformX(track, track.startTime); const endX = timeToWaveformX(track, track.endTime); if (Math.abs(x - startX) <= MARKER_CLICK_TOLERANCE) return 'start'; if (Math.abs(x - endX) <= MARKER_CLICK_TOLERANCE) return 'end'; return null; }
 
 
 // --- Canvas Event Handlers ---
@@ -345,12 +653,39 @@ function handleCanvasMouseMove(event, trackId) { /* ... */ }
 function handleCanvasMouseUp(event, trackId) { /* ... */ }
 function handleCanvasMouseLeave(event, trackId) { /* ... */ }
 // Implementation from previous version...
-function handleCanvasMouseDown(event, trackId) { const track = tracks[trackId]; if (!track.isLoaded || !track.buffer || track.buffer.duration <= 0) return; const pos = getMousePos(track.canvas, event); const marker = getMarkerAtX(pos.x, track); if (marker) { track.draggingMarker = marker; track.isDragging = true; track.canvas.style.cursor = 'grabbing'; event.preventDefault(); } }
-function handleCanvasMouseMove(event, trackId) { const track = tracks[trackId]; if (!track.isLoaded || !track.buffer || track.buffer.duration <= 0) return; const pos = getMousePos(track.canvas, event); const duration = track.buffer.duration; if (track.isDragging && track.draggingMarker) { let newTime = getTimeFromX(pos.x, track.canvas.width, duration); let needsRestart = false; if (track.draggingMarker === 'start') { newTime = Math.min(newTime, track.endTime - 0.001); track.startTime = Math.max(0, newTime); if (track.isPlaying && track.startTime > track.playbackOffset) { track.playbackOffset = track.startTime; needsRestart = true; } } else { newTime = Math.max(newTime, track.startTime + 0.001); track.endTime = Math.min(duration, newTime); if (track.isPlaying && track.endTime < track.playbackOffset) { track.playbackOffset = track.startTime; needsRestart = true; } } drawWaveform(trackId); if (needsRestart) { console.log("Marker moved past playhead, restarting source node."); stopAndRestartPlayback(trackId); } } else if (track.isLoaded) { const marker = getMarkerAtX(pos.x, track); track.canvas.style.cursor = marker ? 'ew-resize' : 'default'; } }
-function handleCanvasMouseUp(event, trackId) { const track = tracks[trackId]; if (track && track.isDragging) { track.isDragging = false; track.draggingMarker = null; // Restart playback if looping and markers changed
-        if (track.isPlaying && track.isLooping) { stopAndRestartPlayback(trackId); } } Object.values(tracks).forEach(t => { if (t?.canvas && !t.isDragging) { const pos = getMousePos(t.canvas, event); const marker = getMarkerAtX(pos.x, t); t.canvas.style.cursor = marker ? 'ew-resize' : 'default'; } }); }
+function handleCanvasMouseDown(event, trackId) { const track = tracks[trackId]; if (!track.isLoaded || !track.buffer || track.buffer.duration <= 0) return; const pos = getMousePos(track.canvas, event); const marker = getMarkerAtX(pos.x, track); if (marker) { track.draggingMarker = marker; track.isDragging = true; track.dragRegionBefore = captureHistorySnapshot('region', trackId); track.canvas.style.cursor = 'grabbing'; event.preventDefault(); } }
+function handleCanvasMouseMove(event, trackId) { const track = tracks[trackId]; if (!track.isLoaded || !track.buffer || track.buffer.duration <= 0) return; const pos = getMousePos(track.canvas, event); if (track.isDragging && track.draggingMarker) { moveTrackMarker(trackId, track.draggingMarker, snapMarkerTime(track, getTimeFromX(pos.x, track), event.altKey)); } else if (track.isLoaded) { const marker = getMarkerAtX(pos.x, track); track.canvas.style.cursor = marker ? 'ew-resize' : 'default'; } }
+function handleCanvasMouseUp(event, trackId) { const track = tracks[trackId]; if (track && track.isDragging) { track.isDragging = false; track.draggingMarker = null; recordSnapshotEdit('region', trackId, `Track ${trackId}: Move marker`, track.dragRegionBefore); // Restart playback if looping and markers changed
+        if (track.isPlaying && track.isLooping) { track.restart(); } } Object.values(tracks).forEach(t => { if (t?.canvas && !t.isDragging) { const pos = getMousePos(t.canvas, event); const marker = getMarkerAtX(pos.x, t); t.canvas.style.cursor = marker ? 'ew-resize' : 'default'; } }); }
 function handleCanvasMouseLeave(event, trackId) { const track = tracks[trackId]; if (track && !track.isDragging) { track.canvas.style.cursor = 'default'; } }
 
+// Moves the 'start' or 'end' marker, restarting the source if the playhead ends up outside the region.
+// Returns true if it restarted.
+function moveTrackMarker(trackId, marker, newTime) {
+    const track = tracks[trackId];
+    const duration = track.buffer.duration;
+    let needsRestart = false;
+    if (marker === 'start') {
+        track.startTime = Math.max(0, Math.min(newTime, track.endTime - 0.001));
+        if (track.isPlaying && track.startTime > track.getPosition()) {
+            track.playbackOffset = track.startTime;
+            needsRestart = true;
+        }
+    } else {
+        track.endTime = Math.min(duration, Math.max(newTime, track.startTime + 0.001));
+        if (track.isPlaying && track.endTime < track.getPosition()) {
+            track.playbackOffset = track.startTime;
+            needsRestart = true;
+        }
+    }
+    drawWaveform(trackId);
+    if (needsRestart) {
+        console.log("Marker moved past playhead, restarting source node.");
+        track.restart(track.startTime);
+    }
+    return needsRestart;
+}
+
 
 // --- Playback Control ---
 async function togglePlayPause(trackId) {
@@ -364,227 +699,79 @@ async function togglePlayPause(trackId) {
          return; // Exit if initialization failed
     }
 
-     // Ensure track gain node exists (might be first play after load)
-     if (!track.gainNode) {
-        track.gainNode = audioContext.createGain();
-        track.gainNode.gain.value = track.volumeSlider.value;
-        track.gainNode.connect(masterGainNode);
-     }
-
-
-    _performTogglePlayPause(trackId);
+    if (track.isPlaying) track.stop(getTransportStartTime());
+    else if (ensureTrackNodes(trackId)) track.play(getTransportStartTime());
 }
 
-function _performTogglePlayPause(trackId) {
-    const track = tracks[trackId];
-    if (!track.isLoaded || !audioContext) return; // Should have context by now
-
-    if (track.isPlaying) {
-        // --- STOP ---
-        console.log(`Track ${trackId}: Stopping...`);
-        if (track.sourceNode) {
-            try {
-                track.sourceNode.stop(); // Stop immediately
-                track.sourceNode.disconnect(); // Disconnect from worklet node
-                track.sourceNode.onended = null;
-            } catch (e) { console.warn("Error stopping source node:", e.message); }
-            track.sourceNode = null;
-        }
-        // Worklet node and gain node persist, just the source stops feeding them
-
-        // Store current playback position offset
-        track.playbackOffset += audioContext.currentTime - track.playbackStartTime;
-         // Clamp offset within bounds
-         track.playbackOffset = Math.max(track.startTime, Math.min(track.endTime, track.playbackOffset));
-         if (track.playbackOffset >= track.endTime) track.playbackOffset = track.startTime; // Loop back if stopped exactly at end
-
-
-        track.isPlaying = false;
-        track.playPauseButton.textContent = 'Play';
-
-    } else {
-        // --- START ---
-        console.log(`Track ${trackId}: Starting...`);
-        if (!track.buffer) { console.error("Track buffer not loaded"); return; }
-        if (track.startTime >= track.endTime) { console.warn("Start time is not before end time."); return; }
-         // Ensure playbackOffset is valid before starting
-         if (track.playbackOffset < track.startTime || track.playbackOffset >= track.endTime) {
-             track.playbackOffset = track.startTime; // Reset to start if invalid or past end
-         }
-
-        // 1. Create the AudioWorkletNode if it doesn't exist for this track
-        if (!track.soundtouchNode) {
-             try {
-                console.log(`Creating AudioWorkletNode ('${WORKLET_NAME}') for track ${trackId}`);
-                track.soundtouchNode = new AudioWorkletNode(audioContext, WORKLET_NAME);
-                // Set initial parameters from sliders/state
-                handleTempoChange({ target: track.tempoSlider }, trackId); // Use handler to set node param
-                handlePitchChange({ target: track.pitchSlider }, trackId); // Use handler to set node param
-                 // Connect worklet node to track's gain node
-                 track.soundtouchNode.connect(track.gainNode);
-             } catch (e) {
-                 console.error(`Failed to create AudioWorkletNode '${WORKLET_NAME}':`, e);
-                 alert(`Error: Could not create audio processing node. Worklet '${WORKLET_NAME}' not registered?`);
-                 return;
-             }
-        }
-
-        // 2. Create and configure the AudioBufferSourceNode
-        track.sourceNode = audioContext.createBufferSource();
-        track.sourceNode.buffer = track.buffer;
-        // Playback rate is ALWAYS 1.0 - tempo handled by worklet
-        track.sourceNode.playbackRate.value = 1.0;
-
-        // 3. Connect Source -> Worklet
-        track.sourceNode.connect(track.soundtouchNode);
-
-        // 4. Set Looping on the Source Node
-        track.sourceNode.loop = track.isLooping;
-        if (track.isLooping) {
-            track.sourceNode.loopStart = track.startTime;
-            track.sourceNode.loopEnd = track.endTime;
-            // Basic validation for loop points
-            if (track.sourceNode.loopEnd <= track.sourceNode.loopStart) {
-                console.warn(`Track ${trackId}: Loop end (${track.sourceNode.loopEnd.toFixed(3)}) is not after loop start (${track.sourceNode.loopStart.toFixed(3)}). Disabling loop.`);
-                track.sourceNode.loop = false;
-                 // track.isLooping = false; // Sync internal state? Or let checkbox drive?
-                 // track.loopToggle.checked = false;
-            }
-        }
-
-        // 5. Start Playback
-        track.playbackStartTime = audioContext.currentTime; // Record start time
-        const offsetToUse = track.playbackOffset; // Use stored offset
-
-        try {
-            // Start playing from the calculated offset.
-            // If looping, duration is ignored. If not looping, calculate remaining duration.
-            if (track.isLooping) {
-                 console.log(`Track ${trackId}: Starting looped playback from offset ${offsetToUse.toFixed(3)}`);
-                 track.sourceNode.start(0, offsetToUse);
-            } else {
-                const remainingDuration = track.endTime - offsetToUse;
-                 if (remainingDuration > 0) {
-                    console.log(`Track ${trackId}: Starting single playback from offset ${offsetToUse.toFixed(3)} for duration ${remainingDuration.toFixed(3)}`);
-                    track.sourceNode.start(0, offsetToUse, remainingDuration);
-                 } else {
-                     console.log(`Track ${trackId}: Attempted to start at or past end marker. Resetting offset.`);
-                      track.playbackOffset = track.startTime; // Reset to start
-                      track.sourceNode.start(0, track.playbackOffset, track.endTime - track.playbackOffset); // Start from beginning of segment
-                 }
-            }
-        } catch (e) {
-            console.error(`Track ${trackId}: Error starting source node:`, e);
-            track.sourceNode.disconnect();
-            track.sourceNode = null;
-            if (track.soundtouchNode) { // Clean up worklet connection if start fails
-                 track.soundtouchNode.disconnect();
-                 // track.soundtouchNode = null; // Don't nullify, might reuse
-            }
-            return;
-        }
-
-        track.isPlaying = true;
-        track.playPauseButton.textContent = 'Stop';
-
-        // Handle track ending naturally (only relevant for non-looping)
-        const currentSourceNode = track.sourceNode; // Capture current node instance
-        currentSourceNode.onended = () => {
-             // Check if this ended naturally and wasn't manually stopped
-             if (track.sourceNode === currentSourceNode && track.isPlaying && !track.isLooping) {
-                 console.log(`Track ${trackId}: Playback ended naturally.`);
-                 _performTogglePlayPause(trackId); // Call stop logic
-                 // Reset offset to start for next play
-                 track.playbackOffset = track.startTime;
-                 checkMasterPlayEnable(); // Update master button after natural end
-             } else {
-                 // console.log(`Track ${trackId}: onended called for stopped or looping node.`);
-             }
-        };
+// Creates the track's gain node and AudioWorkletNode on first use. Returns false if the worklet is unavailable.
+function ensureTrackNodes(trackId) {
+    try {
+        tracks[trackId].ensureNodes();
+        return true;
+    } catch (e) {
+        console.error(`Failed to create AudioWorkletNode '${WORKLET_NAME}':`, e);
+        alert(`Error: Could not create audio processing node. Worklet '${WORKLET_NAME}' not registered?`);
+        return false;
     }
-    checkMasterPlayEnable(); // Update master button state
 }
 
+engine.on('play', ({ track }) => {
+    track.playPauseButton.textContent = 'Stop';
+    startPlayheadAnimation();
+    checkMasterPlayEnable();
+});
 
-// --- Stop and Restart Helper (Used for loop changes, marker drags) ---
-function stopAndRestartPlayback(trackId) {
-    const track = tracks[trackId];
-    if (track && track.isPlaying) {
-        console.log(`Track ${trackId}: Stopping and restarting playback.`);
-        _performTogglePlayPause(trackId); // Stop
-        // Small delay might still be good practice? Or start immediately?
-        // Let's try immediately as we stored the offset
-         setTimeout(() => {
-             if (track.isLoaded) { // Check still loaded
-                 _performTogglePlayPause(trackId); // Start again
-             }
-         }, 10); // Small delay
-    }
-}
+engine.on('stop', ({ track }) => {
+    track.playPauseButton.textContent = 'Play';
+    drawWaveform(track.id); // Leave the playhead at the paused position
+    checkMasterPlayEnable();
+});
+
+engine.on('ended', ({ track }) => drawWaveform(track.id));
 
 // --- Volume Control ---
 function handleVolumeChange(event, trackId) {
-    const track = tracks[trackId];
-    // Ensure gainNode exists (might not if context not initialized)
-    if (track?.gainNode && audioContext) {
-        track.gainNode.gain.linearRampToValueAtTime(parseFloat(event.target.value), audioContext.currentTime + 0.05);
-    } else if (track) {
-        // Store value for when gainNode is created
-         track.volumeSlider.value = event.target.value;
-    }
+    tracks[trackId]?.setVolume(parseFloat(event.target.value));
 }
 
+engine.on('volume', ({ track, value }) => { track.volumeSlider.value = value; });
+
 // --- Tempo Handler ---
 function handleTempoChange(event, trackId) {
     const track = tracks[trackId];
     if (!track) return;
-    const newTempo = parseFloat(event.target.value);
-    track.tempo = newTempo; // Update stored state
-    if (track.tempoValueDisplay) {
-        track.tempoValueDisplay.textContent = newTempo.toFixed(2);
-    }
-    // Update AudioWorkletNode parameter if it exists
-    if (track.soundtouchNode && track.soundtouchNode.parameters.get('tempo')) {
-        // Use setTargetAtTime for potentially smoother changes? Or direct setValue?
-        // Direct value is simpler for now.
-        track.soundtouchNode.parameters.get('tempo').value = newTempo;
-         // console.log(`Track ${trackId}: Set worklet tempo to ${newTempo}`);
-    } else {
-        // console.log(`Track ${trackId}: Stored tempo ${newTempo}, node not ready.`);
-    }
+    track.setTempo(parseFloat(event.target.value));
+    if (track.clips.length > 0) onArrangementEdited(); // Clip lengths depend on tempo
 }
 
+// Also follows tempo automation, which sets the engine's tempo directly
+engine.on('tempo', ({ track, value }) => {
+    track.tempoSlider.value = value;
+    track.tempoValueDisplay.textContent = value.toFixed(2);
+    setPadVoiceRate(track, value);
+    updateTempoSyncedEffects(track.id);
+});
+
 // --- Pitch Handler ---
 function handlePitchChange(event, trackId) {
-    const track = tracks[trackId];
-    if (!track) return;
-    const newPitch = parseFloat(event.target.value);
-    track.pitchSemitones = newPitch; // Update stored state
-    if (track.pitchValueDisplay) {
-        track.pitchValueDisplay.textContent = newPitch >= 0 ? `+${newPitch.toFixed(1)}` : newPitch.toFixed(1);
-    }
-    // Update AudioWorkletNode parameter if it exists
-    if (track.soundtouchNode && track.soundtouchNode.parameters.get('pitchSemitones')) {
-        track.soundtouchNode.parameters.get('pitchSemitones').value = newPitch;
-         // console.log(`Track ${trackId}: Set worklet pitchSemitones to ${newPitch}`);
-    } else {
-         // console.log(`Track ${trackId}: Stored pitch ${newPitch}, node not ready.`);
-    }
+    tracks[trackId]?.setPitch(parseFloat(event.target.value));
 }
 
+engine.on('pitch', ({ track, value }) => {
+    track.pitchSlider.value = value;
+    track.pitchValueDisplay.textContent = value >= 0 ? `+${value.toFixed(1)}` : value.toFixed(1);
+    updateKeyDisplay(track.id);
+});
+
 // --- Loop Toggle Control ---
 function handleLoopToggleChange(event, trackId) {
     const track = tracks[trackId];
     if (!track || !track.isLoaded) return;
-    track.isLooping = event.target.checked;
-    console.log(`Track ${trackId}: Loop toggled to ${track.isLooping}`);
-    // If playing, need to stop the current source and start a new one
-    // with the updated loop property. The worklet node itself doesn't change.
-    if (track.isPlaying) {
-        stopAndRestartPlayback(trackId);
-    }
+    track.setLooping(event.target.checked); // A playing track restarts with the new loop setting
 }
 
+engine.on('loop', ({ track, value }) => { track.loopToggle.checked = value; });
+
 // --- Master Play/Pause Logic ---
 async function toggleMasterPlayPause() {
     // Ensure context/worklet are ready first
@@ -598,24 +785,15 @@ async function toggleMasterPlayPause() {
 function _performToggleMasterPlayPause() {
     const anyLoaded = Object.values(tracks).some(t => t?.isLoaded);
     if (!anyLoaded) return;
-    const currentlyPlaying = Object.values(tracks).some(t => t?.isLoaded && t.isPlaying);
-    const targetStateShouldBePlaying = !currentlyPlaying;
-    for (const trackId in tracks) {
-        const track = tracks[trackId];
-        if (track?.isLoaded) {
-            // Ensure gain node exists before trying to play
-             if (targetStateShouldBePlaying && !track.gainNode) {
-                track.gainNode = audioContext.createGain();
-                track.gainNode.gain.value = track.volumeSlider.value;
-                track.gainNode.connect(masterGainNode);
-             }
-
-            if (targetStateShouldBePlaying && !track.isPlaying) {
-                _performTogglePlayPause(trackId);
-            } else if (!targetStateShouldBePlaying && track.isPlaying) {
-                _performTogglePlayPause(trackId);
-            }
-        }
+    if (arrangementModeToggle.checked) {
+        toggleArrangementPlayback();
+        return;
+    }
+    // Every track starts or stops at the same AudioContext time
+    if (engine.isPlaying) {
+        engine.stop(audioContext.currentTime + TRANSPORT_LOOKAHEAD);
+    } else if (Object.values(tracks).every(track => !track?.isLoaded || ensureTrackNodes(track.id))) {
+        engine.play(getTransportStartTime());
     }
     // Update button text after attempting changes
     const nowPlaying = Object.values(tracks).some(t => t?.isLoaded && t.isPlaying);
@@ -628,10 +806,11 @@ function checkMasterPlayEnable() {
     const anyLoaded = Object.values(tracks).some(track => track?.isLoaded);
     const contextReady = !!audioContext; // Check if context exists
 
-    masterPlayPauseButton.disabled = !anyLoaded || !contextReady || !isWorkletLoaded;
+    masterPlayPauseButton.disabled = !anyLoaded || !contextReady || !engine.isWorkletLoaded;
+    exportMixButton.disabled = !anyLoaded;
 
     if (anyLoaded && contextReady) {
-        const anyPlaying = Object.values(tracks).some(track => track?.isLoaded && track.isPlaying);
+        const anyPlaying = arrangement.isPlaying || Object.values(tracks).some(track => track?.isLoaded && track.isPlaying);
         masterPlayPauseButton.textContent = anyPlaying ? 'Stop All' : 'Play All';
     } else {
         masterPlayPauseButton.textContent = 'Play/Pause All';
@@ -639,14 +818,15 @@ function checkMasterPlayEnable() {
 }
 
 // --- AudioContext State Change Handler ---
+engine.on('statechange', handleAudioContextStateChange);
+
 function handleAudioContextStateChange() {
-    if (!audioContext) return;
     console.log('AudioContext state changed to:', audioContext.state);
     const isRunning = audioContext.state === 'running';
 
     Object.values(tracks).forEach(track => {
         if (!track) return;
-        const controlsShouldBeDisabled = !isRunning || !track.isLoaded || !isWorkletLoaded;
+        const controlsShouldBeDisabled = !isRunning || !track.isLoaded || !engine.isWorkletLoaded;
         if (track.playPauseButton) track.playPauseButton.disabled = controlsShouldBeDisabled;
         if (track.canvas) track.canvas.style.pointerEvents = isRunning ? 'auto' : 'none';
         if (track.tempoSlider) track.tempoSlider.disabled = controlsShouldBeDisabled;
@@ -656,10 +836,14 @@ function handleAudioContextStateChange() {
         // If context stopped running while playing, force track state to stopped
          if (!isRunning && track.isPlaying) {
              console.warn(`AudioContext stopped while track ${track.id} was playing. Forcing stop.`);
-              _performTogglePlayPause(track.id); // Force stop logic
+              track.stop(); // Force stop logic
          }
     });
 
+    if (!isRunning && arrangement.isPlaying) {
+        stopArrangementPlayback(audioContext.currentTime);
+    }
+
     checkMasterPlayEnable(); // Update master button based on new state
 
     if (!isRunning) {
@@ -0,0 +1,238 @@
+// --- Keyboard Shortcuts and Track Selection ---
+// One rebindable map from actions to key combinations (persisted in localStorage). Track-level actions
+// act on the selected track: the last one clicked or focused. Its waveform canvas is an ARIA slider
+// for whichever marker is selected, so arrow-key nudges are announced by screen readers.
+
+const SHORTCUT_STORAGE_KEY = 'mashy-shortcuts';
+const NUDGE_FALLBACK_BEAT_SECONDS = 0.1; // "Beat" nudge step for tracks without a BPM
+const SHORTCUT_TRACK_COUNT = 9; // Play/pause shortcuts for the first nine tracks
+
+// --- DOM Element References ---
+const shortcutTable = document.getElementById('shortcut-table');
+const resetShortcutsButton = document.getElementById('reset-shortcuts');
+
+let selectedTrackId = null;
+let shortcutCaptureAction = null; // Action waiting for a new key while rebinding
+
+// Action id -> { label, run() }
+const SHORTCUT_ACTIONS = {
+    playAll: { label: 'Play/Pause all', run: () => clickIfEnabled(masterPlayPauseButton) },
+    toggleLoop: { label: 'Toggle loop', run: () => withSelectedTrack(track => clickIfEnabled(track.loopToggle)) },
+    selectStartMarker: { label: 'Select start marker', run: () => selectMarker('start') },
+    selectEndMarker: { label: 'Select end marker', run: () => selectMarker('end') },
+    nudgeBackBeat: { label: 'Nudge marker back 1 beat', run: () => nudgeSelectedMarker(-1, 'beat') },
+    nudgeForwardBeat: { label: 'Nudge marker forward 1 beat', run: () => nudgeSelectedMarker(1, 'beat') },
+    nudgeBackSecond: { label: 'Nudge marker back 1 second', run: () => nudgeSelectedMarker(-1, 'second') },
+    nudgeForwardSecond: { label: 'Nudge marker forward 1 second', run: () => nudgeSelectedMarker(1, 'second') },
+    nudgeBackSample: { label: 'Nudge marker back 1 sample', run: () => nudgeSelectedMarker(-1, 'sample') },
+    nudgeForwardSample: { label: 'Nudge marker forward 1 sample', run: () => nudgeSelectedMarker(1, 'sample') },
+    crossfaderA: { label: 'Crossfader toward A', run: () => nudgeCrossfader(-1) },
+    crossfaderB: { label: 'Crossfader toward B', run: () => nudgeCrossfader(1) },
+    crossfaderCenter: { label: 'Center crossfader', run: () => setCrossfaderPosition(0.5) },
+    undo: { label: 'Undo', run: () => undo() },
+    redo: { label: 'Redo', run: () => redo() }
+};
+for (let n = 1; n <= SHORTCUT_TRACK_COUNT; n++) {
+    SHORTCUT_ACTIONS[`playTrack${n}`] = { label: `Play/Pause track ${n}`, run: () => clickIfEnabled(getNthTrack(n)?.playPauseButton) };
+}
+for (let n = 1; n <= SAMPLER_PAD_COUNT; n++) {
+    SHORTCUT_ACTIONS[`pad${n}`] = { label: `Sampler pad ${n}`, run: () => withSelectedTrack(track => triggerPad(track.id, n - 1)) };
+}
+for (let n = 1; n <= HOT_CUE_COUNT; n++) {
+    SHORTCUT_ACTIONS[`hotCue${n}`] = { label: `Hot cue ${n}`, run: () => withSelectedTrack(track => triggerHotCue(track.id, n - 1)) };
+    SHORTCUT_ACTIONS[`setHotCue${n}`] = {
+        label: `Set hot cue ${n} at playhead`,
+        run: () => withSelectedTrack(track => triggerHotCue(track.id, n - 1, { overwrite: true }))
+    };
+}
+
+// Action id -> combo ('Ctrl+', 'Alt+', 'Shift+' prefixes on a KeyboardEvent.code)
+const DEFAULT_SHORTCUTS = {
+    playAll: 'Space',
+    toggleLoop: 'KeyL',
+    selectStartMarker: 'BracketLeft',
+    selectEndMarker: 'BracketRight',
+    nudgeBackBeat: 'ArrowLeft',
+    nudgeForwardBeat: 'ArrowRight',
+    nudgeBackSecond: 'Shift+ArrowLeft',
+    nudgeForwardSecond: 'Shift+ArrowRight',
+    nudgeBackSample: 'Ctrl+ArrowLeft',
+    nudgeForwardSample: 'Ctrl+ArrowRight',
+    crossfaderA: 'Comma',
+    crossfaderB: 'Period',
+    crossfaderCenter: 'Slash',
+    undo: 'Ctrl+KeyZ',
+    redo: 'Ctrl+Shift+KeyZ'
+};
+for (let n = 1; n <= SHORTCUT_TRACK_COUNT; n++) DEFAULT_SHORTCUTS[`playTrack${n}`] = `Digit${n}`;
+// The numeric keypad laid out like the pad grid, top row first
+['Numpad7', 'Numpad8', 'Numpad9', 'NumpadDivide', 'Numpad4', 'Numpad5', 'Numpad6', 'NumpadMultiply',
+    'Numpad1', 'Numpad2', 'Numpad3', 'NumpadSubtract', 'Numpad0', 'NumpadDecimal', 'NumpadEnter', 'NumpadAdd']
+    .forEach((code, i) => { DEFAULT_SHORTCUTS[`pad${i + 1}`] = code; });
+['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI'].forEach((code, i) => {
+    DEFAULT_SHORTCUTS[`hotCue${i + 1}`] = code;
+    DEFAULT_SHORTCUTS[`setHotCue${i + 1}`] = `Shift+${code}`;
+});
+
+let shortcuts = loadShortcuts();
+
+function loadShortcuts() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SHORTCUT_STORAGE_KEY) || '{}');
+        return { ...DEFAULT_SHORTCUTS, ...stored };
+    } catch (e) {
+        console.warn("Ignoring unreadable shortcut settings:", e.message);
+        return { ...DEFAULT_SHORTCUTS };
+    }
+}
+
+function saveShortcuts() {
+    try {
+        localStorage.setItem(SHORTCUT_STORAGE_KEY, JSON.stringify(shortcuts));
+    } catch (e) {
+        console.warn("Could not save shortcut settings:", e.message);
+    }
+}
+
+function getKeyCombo(event) {
+    return `${event.ctrlKey || event.metaKey ? 'Ctrl+' : ''}${event.altKey ? 'Alt+' : ''}${event.shiftKey ? 'Shift+' : ''}${event.code}`;
+}
+
+function formatKeyCombo(combo) {
+    if (!combo) return '—';
+    return combo.replace(/Key([A-Z])$/, '$1').replace(/Digit(\d)$/, '$1')
+        .replace('BracketLeft', '[').replace('BracketRight', ']').replace('Comma', ',').replace('Period', '.')
+        .replace('Slash', '/').replace('ArrowLeft', '←').replace('ArrowRight', '→').replace('Numpad', 'Num ');
+}
+
+// --- Track and Marker Selection ---
+function selectTrack(trackId) {
+    if (selectedTrackId === trackId || !tracks[trackId]) return;
+    document.getElementById(`track${selectedTrackId}`)?.classList.remove('selected-track');
+    selectedTrackId = trackId;
+    document.getElementById(`track${trackId}`)?.classList.add('selected-track');
+}
+
+function withSelectedTrack(action) {
+    const track = tracks[selectedTrackId];
+    if (track?.isLoaded) action(track);
+}
+
+function getNthTrack(n) {
+    return Object.values(tracks).filter(Boolean)[n - 1];
+}
+
+function clickIfEnabled(element) {
+    if (element && !element.disabled) element.click();
+}
+
+function selectMarker(marker) {
+    withSelectedTrack(track => {
+        track.selectedMarker = marker;
+        updateWaveformAria(track);
+    });
+}
+
+function nudgeSelectedMarker(direction, unit) {
+    withSelectedTrack(track => {
+        const step = unit === 'sample' ? 1 / track.buffer.sampleRate
+            : unit === 'second' ? 1
+            : getBeatSeconds(track) || NUDGE_FALLBACK_BEAT_SECONDS;
+        const current = track.selectedMarker === 'end' ? track.endTime : track.startTime;
+        withSnapshotHistory('region', track.id, `Track ${track.id}: Nudge ${track.selectedMarker} marker`, () => {
+            const restarted = moveTrackMarker(track.id, track.selectedMarker, current + direction * step);
+            // As after a mouse drag, a playing loop picks up its new length
+            if (!restarted && track.isPlaying && track.isLooping) track.restart();
+        }, `nudge:${track.id}:${track.selectedMarker}`);
+    });
+}
+
+// The waveform canvas presents the selected marker as a slider
+function updateWaveformAria(track) {
+    const canvas = track.canvas;
+    if (!canvas) return;
+    const marker = track.selectedMarker === 'end' ? 'end' : 'start';
+    const time = marker === 'end' ? track.endTime : track.startTime;
+    canvas.setAttribute('aria-label', `Track ${track.id} ${marker} marker`);
+    if (!track.isLoaded || !track.buffer) {
+        canvas.setAttribute('aria-valuetext', 'No audio loaded');
+        return;
+    }
+    canvas.setAttribute('aria-valuemin', '0');
+    canvas.setAttribute('aria-valuemax', track.buffer.duration.toFixed(3));
+    canvas.setAttribute('aria-valuenow', time.toFixed(3));
+    canvas.setAttribute('aria-valuetext', `${time.toFixed(3)} seconds`);
+}
+
+// --- Shortcut Settings Table ---
+function renderShortcutTable() {
+    shortcutTable.innerHTML = '';
+    Object.entries(SHORTCUT_ACTIONS).forEach(([action, { label }]) => {
+        const row = shortcutTable.insertRow();
+        row.insertCell().textContent = label;
+        const button = document.createElement('button');
+        button.textContent = shortcutCaptureAction === action ? 'Press a key…' : formatKeyCombo(shortcuts[action]);
+        button.setAttribute('aria-label', `${label}: ${button.textContent}. Activate to change.`);
+        button.addEventListener('click', () => {
+            shortcutCaptureAction = action;
+            renderShortcutTable();
+        });
+        row.insertCell().appendChild(button);
+    });
+}
+
+// Escape cancels, Backspace unbinds; a combo already in use moves to the new action
+function captureShortcut(event) {
+    const action = shortcutCaptureAction;
+    shortcutCaptureAction = null;
+    if (event.code !== 'Escape') {
+        const combo = event.code === 'Backspace' ? null : getKeyCombo(event);
+        Object.keys(shortcuts).forEach(other => { if (combo && shortcuts[other] === combo) shortcuts[other] = null; });
+        shortcuts[action] = combo;
+        saveShortcuts();
+    }
+    renderShortcutTable();
+}
+
+// --- Event Listeners ---
+// Clicking or tabbing into a track selects it
+trackContainer.addEventListener('pointerdown', (event) => {
+    const trackElement = event.target.closest('.track');
+    if (trackElement) selectTrack(parseInt(trackElement.id.replace('track', ''), 10));
+});
+trackContainer.addEventListener('focusin', (event) => {
+    const trackElement = event.target.closest('.track');
+    if (trackElement) selectTrack(parseInt(trackElement.id.replace('track', ''), 10));
+});
+
+window.addEventListener('keydown', (event) => {
+    if (shortcutCaptureAction) {
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return; // Wait for the actual key
+        event.preventDefault();
+        captureShortcut(event);
+        return;
+    }
+    if (event.repeat && !event.code.startsWith('Arrow')) return;
+    // Typing in a field (or Space on a focused button) keeps its normal behaviour. Ctrl combinations
+    // still work from sliders and checkboxes, so undo right after a drag does what it says.
+    const hasCtrl = event.ctrlKey || event.metaKey;
+    const ignoredFields = hasCtrl
+        ? 'input:not([type="range"]):not([type="checkbox"]), select, textarea, [contenteditable="true"]'
+        : 'input, select, textarea, [contenteditable="true"]';
+    if (event.target.closest?.(ignoredFields)) return;
+    if (event.code === 'Space' && event.target.closest?.('button')) return;
+    const combo = getKeyCombo(event);
+    const action = Object.keys(shortcuts).find(a => shortcuts[a] === combo);
+    if (!action || !SHORTCUT_ACTIONS[action]) return;
+    event.preventDefault();
+    SHORTCUT_ACTIONS[action].run();
+});
+
+resetShortcutsButton.addEventListener('click', () => {
+    shortcuts = { ...DEFAULT_SHORTCUTS };
+    shortcutCaptureAction = null;
+    saveShortcuts();
+    renderShortcutTable();
+});
+
+renderShortcutTable();
@@ -0,0 +1,98 @@
+// --- Local Time-Stretch / Pitch-Shift AudioWorklet ---
+// Registers 'soundtouch-processor' with 'tempo' and 'pitchSemitones' AudioParams. The names follow the
+// @soundtouchjs worklet, but 'tempo' means something else here (see below), so that worklet can't stand in for it.
+//
+// A realtime worklet cannot pull input faster or slower than the render clock, so tempo is applied
+// upstream by playing the AudioBufferSourceNode at playbackRate = tempo. That speeds up the pitch as
+// well; this processor cancels that out and applies pitchSemitones on top, using a two-tap
+// crossfaded delay line (a "rotating head" pitch shifter).
+
+const WINDOW_SECONDS = 0.05; // Length of each crossfaded grain
+const BYPASS_EPSILON = 1e-4; // Ratios this close to 1 are passed through untouched
+
+class SoundTouchProcessor extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+        return [
+            { name: 'tempo', defaultValue: 1.0, minValue: 0.25, maxValue: 4.0, automationRate: 'k-rate' },
+            { name: 'pitchSemitones', defaultValue: 0, minValue: -24, maxValue: 24, automationRate: 'k-rate' }
+        ];
+    }
+
+    constructor() {
+        super();
+        this.windowSize = Math.max(256, Math.round(WINDOW_SECONDS * sampleRate));
+        // Room for the full grain plus interpolation headroom
+        this.bufferSize = 1 << Math.ceil(Math.log2(this.windowSize * 2 + 4));
+        this.channelBuffers = [];
+        this.writeIndex = 0;
+        this.phase = 0; // Position of the first read head within the grain, 0..1
+    }
+
+    process(inputs, outputs, parameters) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!output || output.length === 0) return true;
+
+        const tempo = Math.max(0.25, parameters.tempo[0]);
+        const pitchRatio = Math.pow(2, parameters.pitchSemitones[0] / 12) / tempo;
+        const blockLength = output[0].length;
+
+        for (let c = 0; c < output.length; c++) {
+            if (!this.channelBuffers[c]) this.channelBuffers[c] = new Float32Array(this.bufferSize);
+        }
+
+        if (Math.abs(pitchRatio - 1) < BYPASS_EPSILON) {
+            for (let c = 0; c < output.length; c++) {
+                const inChannel = input && input[c] ? input[c] : (input && input[0]);
+                const delayLine = this.channelBuffers[c];
+                for (let i = 0; i < blockLength; i++) {
+                    const sample = inChannel ? inChannel[i] : 0;
+                    delayLine[(this.writeIndex + i) & (this.bufferSize - 1)] = sample;
+                    output[c][i] = sample;
+                }
+            }
+            this.writeIndex = (this.writeIndex + blockLength) & (this.bufferSize - 1);
+            return true;
+        }
+
+        // Delay grows by (1 - ratio) samples per output sample; each head wraps once per window
+        const phaseIncrement = (1 - pitchRatio) / this.windowSize;
+        const mask = this.bufferSize - 1;
+        let phase = this.phase;
+
+        for (let i = 0; i < blockLength; i++) {
+            const writePos = (this.writeIndex + i) & mask;
+            const phaseB = (phase + 0.5) % 1;
+            const delayA = 1 + phase * this.windowSize;
+            const delayB = 1 + phaseB * this.windowSize;
+            // Hann crossfade: sin^2 + cos^2 keeps the summed gain at 1
+            const gainA = Math.sin(Math.PI * phase) ** 2;
+            const gainB = 1 - gainA;
+
+            for (let c = 0; c < output.length; c++) {
+                const inChannel = input && input[c] ? input[c] : (input && input[0]);
+                const delayLine = this.channelBuffers[c];
+                delayLine[writePos] = inChannel ? inChannel[i] : 0;
+                output[c][i] = gainA * readInterpolated(delayLine, writePos - delayA, mask)
+                    + gainB * readInterpolated(delayLine, writePos - delayB, mask);
+            }
+
+            phase += phaseIncrement;
+            phase -= Math.floor(phase); // Wrap into 0..1 for both directions
+        }
+
+        this.phase = phase;
+        this.writeIndex = (this.writeIndex + blockLength) & mask;
+        return true;
+    }
+}
+
+function readInterpolated(delayLine, position, mask) {
+    const index = Math.floor(position);
+    const fraction = position - index;
+    const a = delayLine[index & mask];
+    const b = delayLine[(index + 1) & mask];
+    return a + (b - a) * fraction;
+}
+
+registerProcessor('soundtouch-processor', SoundTouchProcessor);
@@ -0,0 +1,242 @@
+// --- Stem Separation ---
+// Splits a track's mix into vocal and instrumental stems that can replace the mix as the track's playing
+// source (track.buffer) or be loaded into new tracks. Separators are pluggable: register one with
+// registerStemSeparator() and it appears in every track's method list. The built-in ones run on the CPU
+// and rely on the vocal being panned to the centre, so they need a stereo source.
+
+const STEM_FFT_SIZE = 2048;
+const STEM_HOP_SIZE = STEM_FFT_SIZE / 4;
+const STEM_VOCAL_LOW_HZ = 150; // Below this everything stays in the instrumental (bass, kick)
+const STEM_VOCAL_HIGH_HZ = 12000; // Above this too (cymbals, air)
+const STEM_MASK_SHARPNESS = 8; // Higher keeps only bins that are very nearly identical in both channels
+const STEM_FRAMES_PER_YIELD = 128; // Spectral frames processed between UI updates
+const STEM_LABELS = { mix: 'Full mix', vocals: 'Vocals', instrumental: 'Instrumental' };
+
+// Separator id -> { label, separate(buffer, onProgress) }. separate resolves to an object of stem name ->
+// AudioBuffer, each the same length and sample rate as the input so markers, cues and clips stay valid.
+// onProgress(fraction) may be called along the way. The built-ins return { vocals, instrumental }.
+const STEM_SEPARATORS = {};
+
+function registerStemSeparator(id, separator) {
+    STEM_SEPARATORS[id] = separator;
+    Object.values(tracks).forEach(track => { if (track?.stemMethodSelect) fillStemMethodOptions(track.stemMethodSelect); });
+}
+
+function requireStereo(buffer) {
+    if (buffer.numberOfChannels < 2) throw new Error("This method needs a stereo recording.");
+}
+
+function createStemBuffers(buffer) {
+    return {
+        vocals: audioContext.createBuffer(2, buffer.length, buffer.sampleRate),
+        instrumental: audioContext.createBuffer(2, buffer.length, buffer.sampleRate)
+    };
+}
+
+// Mid goes to the vocal stem and side to the instrumental, so the two add back up to the original exactly
+registerStemSeparator('mid-side', {
+    label: 'Mid/Side',
+    separate: async (buffer) => {
+        requireStereo(buffer);
+        const left = buffer.getChannelData(0);
+        const right = buffer.getChannelData(1);
+        const stems = createStemBuffers(buffer);
+        const vocalLeft = stems.vocals.getChannelData(0);
+        const vocalRight = stems.vocals.getChannelData(1);
+        const instrumentalLeft = stems.instrumental.getChannelData(0);
+        const instrumentalRight = stems.instrumental.getChannelData(1);
+        for (let i = 0; i < buffer.length; i++) {
+            const mid = (left[i] + right[i]) / 2;
+            const side = (left[i] - right[i]) / 2;
+            vocalLeft[i] = mid;
+            vocalRight[i] = mid;
+            instrumentalLeft[i] = side;
+            instrumentalRight[i] = -side;
+        }
+        return stems;
+    }
+});
+
+// Soft mask over the STFT: a bin counts as vocal in proportion to how alike the two channels are there
+// (centre-panned) and only within the vocal range. The instrumental is whatever the mask left behind.
+registerStemSeparator('spectral', {
+    label: 'Spectral mask',
+    separate: async (buffer, onProgress = () => {}) => {
+        requireStereo(buffer);
+        const left = buffer.getChannelData(0);
+        const right = buffer.getChannelData(1);
+        const stems = createStemBuffers(buffer);
+        const vocalLeft = stems.vocals.getChannelData(0);
+        const vocalRight = stems.vocals.getChannelData(1);
+
+        const size = STEM_FFT_SIZE;
+        const analysisWindow = createHannWindow(size);
+        const windowSum = size / (2 * STEM_HOP_SIZE); // Overlapping Hann windows add up to this
+        const binHz = buffer.sampleRate / size;
+        const bandWeight = new Float32Array(size / 2 + 1);
+        for (let k = 1; k < size / 2; k++) {
+            bandWeight[k] = k * binHz >= STEM_VOCAL_LOW_HZ && k * binHz <= STEM_VOCAL_HIGH_HZ ? 1 : 0;
+        }
+        const re = new Float32Array(size);
+        const im = new Float32Array(size);
+        const firstFrame = -(size - STEM_HOP_SIZE); // Frames start before 0 so every sample gets full coverage
+        const frameCount = Math.ceil((buffer.length - firstFrame) / STEM_HOP_SIZE);
+
+        for (let frame = 0; frame < frameCount; frame++) {
+            const start = firstFrame + frame * STEM_HOP_SIZE;
+            // Both channels in one complex FFT: left as the real part, right as the imaginary part
+            for (let i = 0; i < size; i++) {
+                const index = start + i;
+                const inRange = index >= 0 && index < buffer.length;
+                re[i] = inRange ? left[index] * analysisWindow[i] : 0;
+                im[i] = inRange ? right[index] * analysisWindow[i] : 0;
+            }
+            fft(re, im);
+            re[0] = im[0] = re[size / 2] = im[size / 2] = 0;
+            for (let k = 1; k < size / 2; k++) {
+                const j = size - k;
+                // Split the packed spectrum back into the left and right channel spectra
+                const leftRe = (re[k] + re[j]) / 2;
+                const leftIm = (im[k] - im[j]) / 2;
+                const rightRe = (im[k] + im[j]) / 2;
+                const rightIm = (re[j] - re[k]) / 2;
+                const power = leftRe * leftRe + leftIm * leftIm + rightRe * rightRe + rightIm * rightIm;
+                // 1 when both channels match in level and phase, 0 or less when they differ or oppose
+                const similarity = power > 0 ? 2 * (leftRe * rightRe + leftIm * rightIm) / power : 0;
+                const mask = bandWeight[k] * Math.pow(Math.max(0, similarity), STEM_MASK_SHARPNESS);
+                // The mask is real and symmetric, so masking the packed spectrum masks both channels
+                re[k] *= mask;
+                im[k] *= mask;
+                re[j] *= mask;
+                im[j] *= mask;
+            }
+            fft(re, im, true);
+            for (let i = 0; i < size; i++) {
+                const index = start + i;
+                if (index < 0 || index >= buffer.length) continue;
+                vocalLeft[index] += re[i] / windowSum;
+                vocalRight[index] += im[i] / windowSum;
+            }
+            if (frame % STEM_FRAMES_PER_YIELD === STEM_FRAMES_PER_YIELD - 1) {
+                onProgress(frame / frameCount);
+                await new Promise(resolve => setTimeout(resolve, 0)); // Keep the page responsive
+            }
+        }
+
+        const instrumentalLeft = stems.instrumental.getChannelData(0);
+        const instrumentalRight = stems.instrumental.getChannelData(1);
+        for (let i = 0; i < buffer.length; i++) {
+            instrumentalLeft[i] = left[i] - vocalLeft[i];
+            instrumentalRight[i] = right[i] - vocalRight[i];
+        }
+        onProgress(1);
+        return stems;
+    }
+});
+
+// --- Track Integration ---
+function getStemLabel(name) {
+    return STEM_LABELS[name] || name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// The decoded file, whichever stem is playing; this is what gets saved with the project
+function getTrackMixBuffer(track) {
+    return track.sourceBuffers.mix || track.buffer;
+}
+
+async function extractTrackStems(trackId, methodId = tracks[trackId]?.stemMethodSelect.value) {
+    const track = tracks[trackId];
+    const separator = STEM_SEPARATORS[methodId];
+    if (!track?.isLoaded || track.isExtractingStems || !separator) return false;
+    const mix = getTrackMixBuffer(track);
+    track.isExtractingStems = true;
+    updateStemControls(trackId);
+    setStemStatus(track, `Extracting (${separator.label})...`);
+    try {
+        const stems = await separator.separate(mix, (fraction) => {
+            setStemStatus(track, `Extracting (${separator.label})... ${Math.round(fraction * 100)}%`);
+        });
+        if (tracks[trackId] !== track || getTrackMixBuffer(track) !== mix) return false; // Reloaded or removed meanwhile
+        track.sourceBuffers = { mix, ...stems };
+        track.stemMethod = methodId;
+        setStemStatus(track, `Extracted with ${separator.label}`);
+        console.log(`Track ${trackId}: extracted ${Object.keys(stems).join(', ')} with ${separator.label}`);
+        return true;
+    } catch (e) {
+        console.error(`Track ${trackId}: stem extraction failed:`, e);
+        alert(`Could not extract stems: ${e.message}`);
+        setStemStatus(track, '');
+        return false;
+    } finally {
+        track.isExtractingStems = false;
+        updateStemControls(trackId);
+    }
+}
+
+// Swaps the buffer the track plays, with the track's edits applied. Stems match the mix sample for sample,
+// so the region, cues, clips and zoom carry over unchanged.
+function selectTrackSource(trackId, source) {
+    const track = tracks[trackId];
+    if (!track?.sourceBuffers[source]) return;
+    const changed = track.activeSource !== source;
+    track.activeSource = source;
+    track.stemSourceSelect.value = source;
+    if (changed) rebuildTrackBuffer(trackId);
+}
+
+// Loads every stem into a free (or new) track that starts with this track's settings, so it plays in sync
+function loadStemsIntoNewTracks(trackId) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded) return;
+    const baseState = { ...collectTrackState(track), clips: [], effects: [], stems: null, duck: null, sampler: null };
+    Object.entries(track.sourceBuffers).filter(([name]) => name !== 'mix').forEach(([name, buffer]) => {
+        const newTrackId = findEmptyTrackSlot() ?? addTrack();
+        const fileName = `${track.fileName} (${getStemLabel(name)})`;
+        tracks[newTrackId].pendingState = { ...baseState, fileName };
+        loadBufferIntoTrack(newTrackId, buffer, fileName);
+    });
+}
+
+// Re-extracts stems for a restored project, then selects the saved source
+async function restoreTrackStems(trackId, stems) {
+    if (!STEM_SEPARATORS[stems.method]) {
+        console.warn(`Track ${trackId}: stem method "${stems.method}" is not available; playing the full mix.`);
+        return;
+    }
+    tracks[trackId].stemMethodSelect.value = stems.method;
+    if (await extractTrackStems(trackId, stems.method)) selectTrackSource(trackId, stems.source);
+}
+
+function resetTrackStems(trackId) {
+    const track = tracks[trackId];
+    track.sourceBuffers = track.buffer ? { mix: track.buffer } : {};
+    track.activeSource = 'mix';
+    track.stemMethod = null;
+    setStemStatus(track, '');
+    updateStemControls(trackId);
+}
+
+function fillStemMethodOptions(select) {
+    const selected = select.value;
+    select.innerHTML = '';
+    Object.entries(STEM_SEPARATORS).forEach(([id, { label }]) => select.add(new Option(label, id)));
+    if (STEM_SEPARATORS[selected]) select.value = selected;
+}
+
+function updateStemControls(trackId) {
+    const track = tracks[trackId];
+    if (!track?.stemSourceSelect) return;
+    const busy = !!track.isExtractingStems;
+    const sources = Object.keys(track.sourceBuffers);
+    track.stemSourceSelect.innerHTML = '';
+    (sources.length ? sources : ['mix']).forEach(name => track.stemSourceSelect.add(new Option(getStemLabel(name), name)));
+    track.stemSourceSelect.value = track.activeSource;
+    track.stemSourceSelect.disabled = busy || sources.length < 2;
+    track.stemMethodSelect.disabled = busy || !track.isLoaded;
+    track.extractStemsButton.disabled = busy || !track.isLoaded;
+    track.stemsToTracksButton.disabled = busy || sources.length < 2;
+}
+
+function setStemStatus(track, text) {
+    if (track.stemStatusDisplay) track.stemStatusDisplay.textContent = text;
+}
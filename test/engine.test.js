@@ -0,0 +1,412 @@
+// The audio engine on its own, against a mocked AudioContext
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { MashyEngine, TRANSPORT_LOOKAHEAD, WORKLET_NAME } = require('../engine.js');
+const { MockAudioContext, MockWorkletNode, createBuffer } = require('./helpers/audio');
+
+function createEngine(options = {}) {
+    return new MashyEngine({
+        context: new MockAudioContext(),
+        createWorkletNode: (context, name) => new MockWorkletNode(context, name),
+        ...options
+    });
+}
+
+// Records every emitted event as [type, track id, value]
+function recordEvents(engine, types) {
+    const events = [];
+    types.forEach(type => engine.on(type, (detail) => events.push([type, detail.track?.id, detail.value])));
+    return events;
+}
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message || 'value'}: expected ${expected}, got ${actual}`);
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+after(() => mock.restoreAll());
+
+describe('init', () => {
+    it('resumes the context, registers the local worklet and emits ready', async () => {
+        const context = new MockAudioContext({ state: 'suspended' });
+        const engine = createEngine({ context, masterVolume: 0.8 });
+        let ready = 0;
+        engine.on('ready', () => ready++);
+        await engine.init();
+        assert.strictEqual(context.state, 'running');
+        assert.deepStrictEqual(context.modules, ['soundtouch-worklet.js']);
+        assert.strictEqual(engine.isWorkletLoaded, true);
+        assert.strictEqual(engine.masterGain.gain.value, 0.8);
+        assert.deepStrictEqual(engine.masterGain.connections, [context.destination]);
+        assert.strictEqual(ready, 1);
+    });
+
+    it('rejects with the failing stage', async () => {
+        const engine = createEngine({ context: new MockAudioContext({ failModules: true }) });
+        await assert.rejects(engine.init(), { stage: 'worklet' });
+        const noContext = new MashyEngine({ AudioContext: function () { throw new Error('no audio'); } });
+        await assert.rejects(noContext.init(), { stage: 'context' });
+    });
+
+    it('skips the worklet when told to', async () => {
+        const context = new MockAudioContext();
+        const engine = createEngine({ context, worklet: false });
+        await engine.init();
+        assert.deepStrictEqual(context.modules, []);
+        assert.strictEqual(engine.isWorkletLoaded, false);
+    });
+
+    it('forwards context state changes', async () => {
+        const engine = createEngine();
+        await engine.init();
+        const states = [];
+        engine.on('statechange', ({ state }) => states.push(state));
+        engine.context.setState('suspended');
+        assert.deepStrictEqual(states, ['suspended']);
+    });
+});
+
+describe('tracks', () => {
+    let engine;
+    beforeEach(async () => {
+        engine = createEngine();
+        await engine.init();
+    });
+
+    it('loads a buffer into a new track with the whole file as its region', () => {
+        const events = recordEvents(engine, ['trackadded', 'load']);
+        const track = engine.loadTrack(createBuffer(10), 'a.wav');
+        assert.strictEqual(track.id, 1);
+        assert.strictEqual(engine.getTrack('1'), track);
+        assert.strictEqual(track.fileName, 'a.wav');
+        assert.strictEqual(track.isLoaded, true);
+        assert.strictEqual(track.startTime, 0);
+        assert.strictEqual(track.endTime, 10);
+        assert.deepStrictEqual(events, [['trackadded', 1, undefined], ['load', 1, undefined]]);
+    });
+
+    it('numbers tracks in order, and from 1 again after reset', () => {
+        engine.addTrack();
+        engine.addTrack();
+        assert.throws(() => engine.addTrack(2), /already exists/);
+        const removed = recordEvents(engine, ['trackremoved']);
+        engine.reset();
+        assert.deepStrictEqual(removed.map(([, id]) => id), [1, 2]);
+        assert.strictEqual(engine.tracks.size, 0);
+        assert.strictEqual(engine.addTrack().id, 1);
+    });
+
+    it('stops and empties a track on reset', () => {
+        const track = engine.loadTrack(createBuffer(10));
+        track.setTempo(1.5);
+        track.play();
+        const events = recordEvents(engine, ['stop', 'reset']);
+        track.reset();
+        assert.strictEqual(track.isPlaying, false);
+        assert.strictEqual(track.isLoaded, false);
+        assert.strictEqual(track.buffer, null);
+        assert.strictEqual(track.tempo, 1);
+        assert.strictEqual(track.inputNode, null);
+        assert.deepStrictEqual(events.map(([type]) => type), ['stop', 'reset']);
+    });
+});
+
+describe('playback', () => {
+    let engine, context, track, events;
+    beforeEach(async () => {
+        engine = createEngine();
+        await engine.init();
+        context = engine.context;
+        track = engine.loadTrack(createBuffer(10));
+        events = recordEvents(engine, ['play', 'stop', 'ended', 'tempo', 'pitch', 'volume', 'loop', 'region']);
+    });
+
+    it('plays the region through the worklet at the track tempo', () => {
+        track.setTempo(2);
+        track.setPitch(-3);
+        assert.strictEqual(track.play(1), true);
+        const source = context.lastSource;
+        assert.deepStrictEqual(source.startArgs, { when: 1, offset: 0, duration: 10 });
+        assert.strictEqual(source.playbackRate.value, 2);
+        assert.strictEqual(track.soundtouchNode.name, WORKLET_NAME);
+        assert.deepStrictEqual(source.connections, [track.soundtouchNode]);
+        assert.strictEqual(track.soundtouchNode.parameters.get('tempo').value, 2);
+        assert.strictEqual(track.soundtouchNode.parameters.get('pitchSemitones').value, -3);
+        assert.deepStrictEqual(track.soundtouchNode.connections, [track.gainNode]);
+        assert.deepStrictEqual(track.gainNode.connections, [engine.masterGain]);
+        assert.strictEqual(track.play(), false); // Already playing
+        assert.deepStrictEqual(events, [['tempo', 1, 2], ['pitch', 1, -3], ['play', 1, undefined]]);
+    });
+
+    it('resumes from where it stopped', () => {
+        track.play(0);
+        context.currentTime = 3;
+        assert.strictEqual(track.stop(3.5), true);
+        assert.strictEqual(context.sources[0].stopTime, 3.5);
+        assert.strictEqual(track.playbackOffset, 3.5);
+        assert.strictEqual(track.stop(), false); // Already stopped
+        track.play(4);
+        assert.deepStrictEqual(context.lastSource.startArgs, { when: 4, offset: 3.5, duration: 6.5 });
+        assert.deepStrictEqual(events.map(([type]) => type), ['play', 'stop', 'play']);
+    });
+
+    it('never schedules in the past', () => {
+        context.currentTime = 2;
+        track.play(1);
+        assert.strictEqual(context.lastSource.startArgs.when, 2);
+    });
+
+    it('restarts at the same scheduled time, optionally from a new offset', () => {
+        track.play(0);
+        context.currentTime = 1;
+        track.restart(5);
+        const [oldSource, newSource] = context.sources;
+        assert.strictEqual(oldSource.stopTime, 1 + TRANSPORT_LOOKAHEAD);
+        assert.deepStrictEqual(newSource.startArgs, { when: 1 + TRANSPORT_LOOKAHEAD, offset: 5, duration: 5 });
+        assert.strictEqual(track.isPlaying, true);
+        track.stop();
+        track.restart(2); // Not playing: nothing happens
+        assert.strictEqual(context.sources.length, 2);
+    });
+
+    it('seeks a stopped track without starting it, clamped to the region', () => {
+        track.setRegion(2, 8);
+        track.seek(20);
+        assert.strictEqual(track.playbackOffset, 8);
+        track.seek(3);
+        assert.strictEqual(track.playbackOffset, 3);
+        assert.strictEqual(context.sources.length, 0);
+    });
+
+    it('emits ended and rewinds when a one-shot reaches its end marker', () => {
+        track.setRegion(2, 6);
+        track.play(0);
+        context.currentTime = 4;
+        context.lastSource.end();
+        assert.strictEqual(track.isPlaying, false);
+        assert.strictEqual(track.playbackOffset, 2);
+        assert.deepStrictEqual(events.map(([type]) => type), ['region', 'play', 'stop', 'ended']);
+    });
+
+    it('ignores ended from a source it already replaced or stopped', () => {
+        track.play(0);
+        const first = context.lastSource;
+        track.restart(1);
+        first.end();
+        assert.strictEqual(track.isPlaying, true);
+        track.stop();
+        context.lastSource.end();
+        assert.ok(!events.some(([type]) => type === 'ended'));
+    });
+
+    it('sets the volume with a short ramp', () => {
+        track.play(0);
+        context.currentTime = 1;
+        track.setVolume(0.25);
+        assert.deepStrictEqual(track.gainNode.gain.ramps, [{ value: 0.25, time: 1.05 }]);
+        assert.deepStrictEqual(events.pop(), ['volume', 1, 0.25]);
+    });
+
+    it('plays every loaded track at one shared time', () => {
+        const other = engine.loadTrack(createBuffer(5));
+        engine.addTrack(); // Empty, skipped
+        context.currentTime = 1;
+        engine.play();
+        assert.strictEqual(track.isPlaying && other.isPlaying, true);
+        assert.deepStrictEqual(context.sources.map(s => s.startArgs.when), [1 + TRANSPORT_LOOKAHEAD, 1 + TRANSPORT_LOOKAHEAD]);
+        engine.stop(2);
+        assert.strictEqual(engine.isPlaying, false);
+        assert.deepStrictEqual(context.sources.map(s => s.stopTime), [2, 2]);
+    });
+});
+
+describe('position', () => {
+    let engine, context, track;
+    beforeEach(async () => {
+        engine = createEngine();
+        await engine.init();
+        context = engine.context;
+        track = engine.loadTrack(createBuffer(20));
+    });
+
+    it('advances at the tempo from the scheduled start', () => {
+        track.setTempo(1.5);
+        track.play(1);
+        context.currentTime = 0.5;
+        assert.strictEqual(track.getPosition(), 0); // Not started yet
+        context.currentTime = 3;
+        assertClose(track.getPosition(), 3);
+        assertClose(track.getPosition(4), 4.5); // Looking ahead
+    });
+
+    it('integrates each tempo up to the moment it changes', () => {
+        track.play(0);
+        context.currentTime = 2;
+        track.setTempo(2); // 2s played at 1x
+        context.currentTime = 3;
+        assertClose(track.getPosition(), 4);
+        track.setTempo(0.5); // Plus 1s at 2x
+        context.currentTime = 5;
+        assertClose(track.getPosition(), 5);
+        assert.strictEqual(context.lastSource.playbackRate.value, 0.5);
+    });
+
+    it('keeps the anchor when the tempo changes before a scheduled start', () => {
+        track.play(2);
+        context.currentTime = 1;
+        track.setTempo(2);
+        assert.strictEqual(track.positionAnchorTime, 2);
+        context.currentTime = 3;
+        assertClose(track.getPosition(), 2);
+    });
+
+    it('reports the stored offset while stopped', () => {
+        track.seek(7);
+        context.currentTime = 100;
+        assert.strictEqual(track.getPosition(), 7);
+    });
+
+    it('holds at the end marker of a one-shot', () => {
+        track.setRegion(0, 4);
+        track.play(0);
+        context.currentTime = 10;
+        assert.strictEqual(track.getPosition(), 4);
+    });
+
+    it('stops at the position reached with the tempo applied', () => {
+        track.setTempo(2);
+        track.play(0);
+        context.currentTime = 1;
+        track.stop(1.5);
+        assertClose(track.playbackOffset, 3);
+    });
+});
+
+describe('looping', () => {
+    let engine, context, track, events;
+    beforeEach(async () => {
+        engine = createEngine();
+        await engine.init();
+        context = engine.context;
+        track = engine.loadTrack(createBuffer(20));
+        events = recordEvents(engine, ['play', 'stop', 'loop', 'region']);
+    });
+
+    it('loops the region without a duration', () => {
+        track.setRegion(4, 8);
+        track.setLooping(true);
+        track.play(0);
+        const source = context.lastSource;
+        assert.strictEqual(source.loop, true);
+        assert.strictEqual(source.loopStart, 4);
+        assert.strictEqual(source.loopEnd, 8);
+        assert.deepStrictEqual(source.startArgs, { when: 0, offset: 4, duration: undefined });
+    });
+
+    it('wraps the position inside the loop, at the tempo', () => {
+        track.setRegion(4, 8);
+        track.setLooping(true);
+        track.setTempo(2);
+        track.play(0);
+        context.currentTime = 2.5; // 5s of buffer time: one 4s loop and 1s
+        assertClose(track.getPosition(), 5);
+        track.stop(2.5);
+        assertClose(track.playbackOffset, 5);
+    });
+
+    it('restarts a playing track to switch looping, keeping its position', () => {
+        track.play(0);
+        context.currentTime = 3;
+        track.setLooping(true);
+        assert.strictEqual(context.sources.length, 2);
+        assert.strictEqual(context.lastSource.loop, true);
+        assertClose(context.lastSource.startArgs.offset, 3 + TRANSPORT_LOOKAHEAD);
+        assert.deepStrictEqual(events.map(([type, , value]) => value === undefined ? type : `${type}:${value}`),
+            ['play', 'stop', 'play', 'loop:true']);
+    });
+
+    it('never ends by itself', () => {
+        track.setLooping(true);
+        track.play(0);
+        context.lastSource.end(); // A looping source only ends when stopped
+        assert.strictEqual(track.isPlaying, true);
+    });
+
+    it('restarts inside a new region, from its start if the playhead fell outside', () => {
+        track.setLooping(true);
+        track.play(0);
+        context.currentTime = 5;
+        track.setRegion(2, 10); // Playhead (5.05) is inside: keeps going from there
+        assertClose(context.lastSource.startArgs.offset, 5 + TRANSPORT_LOOKAHEAD);
+        track.setRegion(12, 30); // Outside, and the end is clamped to the buffer
+        assert.strictEqual(track.endTime, 20);
+        assert.strictEqual(context.lastSource.startArgs.offset, 12);
+        assert.strictEqual(context.lastSource.loopEnd, 20);
+    });
+});
+
+describe('transport', () => {
+    let engine, context, track;
+    beforeEach(async () => {
+        engine = createEngine();
+        await engine.init();
+        context = engine.context;
+        track = engine.loadTrack(createBuffer(20));
+    });
+
+    it('starts a fresh grid when nothing is playing', () => {
+        context.currentTime = 1;
+        assert.strictEqual(engine.getTransportStartTime(0.5), 1 + TRANSPORT_LOOKAHEAD);
+        assert.strictEqual(engine.transportOrigin, 1 + TRANSPORT_LOOKAHEAD);
+    });
+
+    it('quantizes to the running grid while something plays', () => {
+        engine.setTransportOrigin(1);
+        track.play(1);
+        context.currentTime = 2.2;
+        assertClose(engine.getTransportStartTime(0.5), 2.5);
+        assertClose(engine.getTransportStartTime(), 2.2 + TRANSPORT_LOOKAHEAD);
+    });
+});
+
+describe('without the worklet', () => {
+    it('plays through a plain gain node, and tempo changes the pitch', async () => {
+        const engine = createEngine({ worklet: false });
+        await engine.init();
+        const track = engine.loadTrack(createBuffer(10));
+        track.setTempo(2);
+        track.setPitch(3);
+        assert.strictEqual(track.play(0), true);
+        assert.strictEqual(track.soundtouchNode, null);
+        assert.deepStrictEqual(engine.context.lastSource.connections, [track.inputNode]);
+        assertClose(track.getPitchShift(), 12);
+    });
+
+    it('reports the pitch setting as the shift when the worklet is active', async () => {
+        const engine = createEngine();
+        await engine.init();
+        const track = engine.loadTrack(createBuffer(10));
+        track.setTempo(2);
+        track.setPitch(3);
+        assert.strictEqual(track.getPitchShift(), 3);
+    });
+});
+
+describe('events', () => {
+    it('returns an unsubscribe function and keeps going past a throwing listener', () => {
+        const engine = createEngine();
+        const errors = mock.method(console, 'error', () => {});
+        const calls = [];
+        engine.on('x', () => { throw new Error('boom'); });
+        const off = engine.on('x', (detail) => calls.push(detail.n));
+        engine.emit('x', { n: 1 });
+        off();
+        engine.emit('x', { n: 2 });
+        assert.deepStrictEqual(calls, [1]);
+        assert.strictEqual(errors.mock.callCount(), 2);
+        errors.mock.restore();
+    });
+});
@@ -0,0 +1,120 @@
+// A mocked AudioContext: just enough of the Web Audio API for engine.js, with the scheduled calls recorded.
+// Time only moves when a test sets context.currentTime.
+
+class MockParam {
+    constructor(value) {
+        this.value = value;
+        this.ramps = [];
+    }
+
+    linearRampToValueAtTime(value, time) {
+        this.ramps.push({ value, time });
+        this.value = value;
+    }
+}
+
+class MockNode {
+    constructor(context) {
+        this.context = context;
+        this.connections = [];
+    }
+
+    connect(node) {
+        this.connections.push(node);
+        return node;
+    }
+
+    disconnect() {
+        this.connections = [];
+    }
+}
+
+class MockBufferSource extends MockNode {
+    constructor(context) {
+        super(context);
+        this.buffer = null;
+        this.playbackRate = new MockParam(1);
+        this.loop = false;
+        this.loopStart = 0;
+        this.loopEnd = 0;
+        this.startArgs = null;
+        this.stopTime = null;
+        this.onended = null;
+    }
+
+    start(when, offset, duration) {
+        if (this.startArgs) throw new Error('InvalidStateError: start() called twice');
+        this.startArgs = { when, offset, duration };
+    }
+
+    stop(when) {
+        this.stopTime = when;
+    }
+
+    // Stands in for the browser firing 'ended'
+    end() {
+        this.onended?.();
+    }
+}
+
+class MockWorkletNode extends MockNode {
+    constructor(context, name) {
+        super(context);
+        this.name = name;
+        const params = { tempo: new MockParam(1), pitchSemitones: new MockParam(0) };
+        this.parameters = { get: (key) => params[key] };
+    }
+}
+
+class MockAudioContext {
+    constructor({ state = 'running', failModules = false } = {}) {
+        this.currentTime = 0;
+        this.sampleRate = 48000;
+        this.state = state;
+        this.destination = new MockNode(this);
+        this.sources = [];
+        this.modules = [];
+        this.listeners = {};
+        this.audioWorklet = {
+            addModule: async (url) => {
+                if (failModules) throw new Error(`Could not load ${url}`);
+                this.modules.push(url);
+            }
+        };
+    }
+
+    createGain() {
+        const node = new MockNode(this);
+        node.gain = new MockParam(1);
+        return node;
+    }
+
+    createBufferSource() {
+        const source = new MockBufferSource(this);
+        this.sources.push(source);
+        return source;
+    }
+
+    async resume() {
+        this.setState('running');
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    setState(state) {
+        this.state = state;
+        (this.listeners.statechange || []).forEach(listener => listener());
+    }
+
+    get lastSource() {
+        return this.sources[this.sources.length - 1];
+    }
+}
+
+function createBuffer(duration, sampleRate = 48000) {
+    return { duration, sampleRate, length: Math.round(duration * sampleRate), numberOfChannels: 2 };
+}
+
+module.exports = { MockAudioContext, MockWorkletNode, createBuffer };
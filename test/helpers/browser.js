@@ -0,0 +1,81 @@
+// Runs the page's plain browser scripts in a vm context with hand-made stand-ins for the globals they use.
+// Top-level functions become properties of the returned context; top-level const/let are reached with
+// context.get('name').
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+class FakeClassList {
+    constructor() { this.names = new Set(); }
+    add(name) { this.names.add(name); }
+    remove(name) { this.names.delete(name); }
+    contains(name) { return this.names.has(name); }
+    toggle(name, force = !this.names.has(name)) {
+        if (force) this.names.add(name);
+        else this.names.delete(name);
+        return force;
+    }
+}
+
+class FakeElement {
+    constructor(id, props = {}) {
+        this.id = id;
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.textContent = '';
+        this.classList = new FakeClassList();
+        this.listeners = {};
+        Object.assign(this, props);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ||= []).push(listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(listener => listener(event));
+        return true;
+    }
+
+    click() {
+        this.dispatchEvent(new FakeEvent('click'));
+    }
+}
+
+class FakeEvent {
+    constructor(type) { this.type = type; }
+}
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// elements: id -> FakeElement for document.getElementById; globals are added to the context as they are
+function loadBrowserScripts(files, { elements = {}, globals = {} } = {}) {
+    const byId = new Map(Object.entries(elements));
+    const document = {
+        body: new FakeElement('body'),
+        getElementById: (id) => {
+            if (!byId.has(id)) byId.set(id, new FakeElement(id));
+            return byId.get(id);
+        },
+        addEventListener: () => {}
+    };
+    const context = vm.createContext({
+        console, Math, JSON, Event: FakeEvent, document, localStorage: createStorage(), navigator: {},
+        setTimeout, clearTimeout, setInterval: () => 0, ...globals
+    });
+    files.forEach(file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file }));
+    context.get = (name) => vm.runInContext(name, context);
+    return context;
+}
+
+module.exports = { loadBrowserScripts, FakeElement, FakeEvent };
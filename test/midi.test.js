@@ -0,0 +1,188 @@
+// MIDI learn and message handling, driven through handleMidiMessage and a mocked MIDIAccess
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { loadBrowserScripts, FakeElement } = require('./helpers/browser');
+
+const CC = 0xb0;
+const NOTE_ON = 0x90;
+
+function createMidiPage() {
+    const edits = [];
+    const elements = {
+        'midi-encoder-mode': new FakeElement('midi-encoder-mode', { value: 'absolute' }),
+        'volume-1': new FakeElement('volume-1', { type: 'range', min: '0', max: '1', value: '0.5' }),
+        'tempo-1': new FakeElement('tempo-1', { type: 'range', min: '0.5', max: '1.5', value: '1' }),
+        'loop-1': new FakeElement('loop-1', { type: 'checkbox' }),
+        'play-pause-1': new FakeElement('play-pause-1', { type: 'button' })
+    };
+    const page = loadBrowserScripts(['midi.js'], {
+        elements,
+        globals: {
+            getControlValue: (element) => (element.type === 'checkbox' ? element.checked : element.value),
+            isHistoryControl: (element) => element.id !== 'play-pause-1',
+            recordControlEdit: (element, before) => edits.push({ id: element.id, before })
+        }
+    });
+    return { page, elements, edits, midi: page.get('midi') };
+}
+
+function send(page, ...data) {
+    page.handleMidiMessage({ data });
+}
+
+function learn(page, elements, controlId, ...data) {
+    page.setMidiLearnMode(true);
+    page.setMidiLearnTarget(elements[controlId]);
+    send(page, ...data);
+    page.setMidiLearnMode(false);
+}
+
+function countEvents(element, type) {
+    const counter = { count: 0 };
+    element.addEventListener(type, () => counter.count++);
+    return counter;
+}
+
+describe('initMidi', () => {
+    it('attaches every input of the injected MIDIAccess and re-attaches when one is plugged in', async () => {
+        const { page, elements } = createMidiPage();
+        const inputs = new Map([['a', {}]]);
+        const access = { inputs };
+        assert.strictEqual(await page.initMidi(async () => access), true);
+        assert.strictEqual(inputs.get('a').onmidimessage, page.handleMidiMessage);
+        assert.match(page.document.getElementById('midi-status').textContent, /MIDI inputs: 1/);
+        assert.strictEqual(page.document.getElementById('midi-learn').disabled, false);
+
+        inputs.set('b', {});
+        access.onstatechange();
+        assert.strictEqual(inputs.get('b').onmidimessage, page.handleMidiMessage);
+        assert.match(page.document.getElementById('midi-status').textContent, /MIDI inputs: 2/);
+    });
+
+    it('reports a denied request', async () => {
+        const { page } = createMidiPage();
+        assert.strictEqual(await page.initMidi(async () => { throw new Error('denied'); }), false);
+        assert.match(page.document.getElementById('midi-status').textContent, /denied/);
+    });
+
+    it('reports a browser without Web MIDI', async () => {
+        const { page } = createMidiPage();
+        assert.strictEqual(await page.initMidi(undefined), false);
+        assert.match(page.document.getElementById('midi-status').textContent, /not supported/);
+    });
+});
+
+describe('MIDI learn', () => {
+    let page, elements, midi;
+    beforeEach(() => ({ page, elements, midi } = createMidiPage()));
+
+    it('binds the next CC to the selected control with the chosen encoder mode, without moving it', () => {
+        elements['midi-encoder-mode'].value = 'relative-twos';
+        page.setMidiLearnMode(true);
+        page.setMidiLearnTarget(elements['volume-1']);
+        send(page, CC | 2, 7, 100);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(midi.mappings)),
+            [{ controlId: 'volume-1', type: 'cc', channel: 2, number: 7, mode: 'relative-twos' }]);
+        assert.strictEqual(elements['volume-1'].value, '0.5');
+        assert.strictEqual(midi.learnTarget, null);
+        assert.deepStrictEqual(JSON.parse(page.localStorage.getItem('mashy-midi-mappings')), JSON.parse(JSON.stringify(midi.mappings)));
+    });
+
+    it('binds notes as absolute whatever the encoder mode', () => {
+        elements['midi-encoder-mode'].value = 'relative-offset';
+        learn(page, elements, 'play-pause-1', NOTE_ON, 36, 100);
+        assert.strictEqual(midi.mappings[0].type, 'note');
+        assert.strictEqual(midi.mappings[0].mode, 'absolute');
+    });
+
+    it('keeps one control per message and one message per control', () => {
+        learn(page, elements, 'volume-1', CC, 7, 0);
+        learn(page, elements, 'tempo-1', CC, 7, 0); // Same CC moves to the tempo slider
+        learn(page, elements, 'tempo-1', CC, 8, 0); // And the tempo slider moves to CC 8
+        assert.deepStrictEqual(midi.mappings.map(m => [m.controlId, m.number]), [['tempo-1', 8]]);
+    });
+
+    it('ignores messages while learning with nothing selected', () => {
+        page.setMidiLearnMode(true);
+        send(page, CC, 7, 0);
+        assert.strictEqual(midi.mappings.length, 0);
+    });
+});
+
+describe('handleMidiMessage', () => {
+    let page, elements, edits;
+    beforeEach(() => ({ page, elements, edits } = createMidiPage()));
+
+    it('scales absolute CCs across the slider range and records the edit', () => {
+        learn(page, elements, 'tempo-1', CC, 1, 0);
+        const inputs = countEvents(elements['tempo-1'], 'input');
+        send(page, CC, 1, 127);
+        assert.strictEqual(Number(elements['tempo-1'].value), 1.5);
+        send(page, CC, 1, 0);
+        assert.strictEqual(Number(elements['tempo-1'].value), 0.5);
+        assert.strictEqual(inputs.count, 2);
+        assert.deepStrictEqual(edits, [{ id: 'tempo-1', before: '1' }, { id: 'tempo-1', before: 1.5 }]);
+    });
+
+    it('steps relative two\'s-complement encoders and clamps at the ends', () => {
+        elements['midi-encoder-mode'].value = 'relative-twos';
+        learn(page, elements, 'volume-1', CC, 16, 0);
+        send(page, CC, 16, 1);
+        assert.ok(Math.abs(elements['volume-1'].value - 0.505) < 1e-9);
+        send(page, CC, 16, 127); // -1
+        send(page, CC, 16, 126); // -2
+        assert.ok(Math.abs(elements['volume-1'].value - 0.49) < 1e-9);
+        for (let i = 0; i < 10; i++) send(page, CC, 16, 63); // +63 per tick
+        assert.strictEqual(Number(elements['volume-1'].value), 1);
+    });
+
+    it('steps relative offset encoders around 64', () => {
+        elements['midi-encoder-mode'].value = 'relative-offset';
+        learn(page, elements, 'volume-1', CC, 16, 0);
+        send(page, CC, 16, 66);
+        assert.ok(Math.abs(elements['volume-1'].value - 0.51) < 1e-9);
+        send(page, CC, 16, 63);
+        assert.ok(Math.abs(elements['volume-1'].value - 0.505) < 1e-9);
+    });
+
+    it('only responds on the bound channel and number', () => {
+        learn(page, elements, 'tempo-1', CC | 1, 1, 0);
+        send(page, CC, 1, 127);
+        send(page, CC | 1, 2, 127);
+        assert.strictEqual(elements['tempo-1'].value, '1');
+    });
+
+    it('clicks buttons on note-on and ignores note-off (note-on with velocity 0)', () => {
+        learn(page, elements, 'play-pause-1', NOTE_ON | 9, 36, 100);
+        const clicks = countEvents(elements['play-pause-1'], 'click');
+        send(page, NOTE_ON | 9, 36, 90);
+        send(page, NOTE_ON | 9, 36, 0);
+        send(page, 0x80 | 9, 36, 64);
+        assert.strictEqual(clicks.count, 1);
+        assert.deepStrictEqual(edits, []); // Not a history control
+    });
+
+    it('toggles checkboxes on notes and follows absolute CC switches', () => {
+        learn(page, elements, 'loop-1', NOTE_ON, 40, 100);
+        const changes = countEvents(elements['loop-1'], 'change');
+        send(page, NOTE_ON, 40, 100);
+        assert.strictEqual(elements['loop-1'].checked, true);
+        send(page, NOTE_ON, 40, 100);
+        assert.strictEqual(elements['loop-1'].checked, false);
+
+        learn(page, elements, 'loop-1', CC, 64, 0);
+        send(page, CC, 64, 127);
+        send(page, CC, 64, 100); // Already on: no event
+        assert.strictEqual(elements['loop-1'].checked, true);
+        send(page, CC, 64, 10);
+        assert.strictEqual(elements['loop-1'].checked, false);
+        assert.strictEqual(changes.count, 4);
+    });
+
+    it('leaves disabled controls alone', () => {
+        learn(page, elements, 'tempo-1', CC, 1, 0);
+        elements['tempo-1'].disabled = true;
+        send(page, CC, 1, 127);
+        assert.strictEqual(elements['tempo-1'].value, '1');
+    });
+});
@@ -0,0 +1,23 @@
+// --- Transport Scheduler ---
+// Starts, stops and restarts tracks at one shared future AudioContext time, optionally on the master beat grid.
+// The engine keeps the grid (engine.transportOrigin); this adds the quantize setting from the page.
+
+const BEATS_PER_BAR = 4;
+
+// --- DOM Element References ---
+const quantizeSelect = document.getElementById('quantize');
+
+// Next time all tracks can start together. While something is already playing, the time is
+// quantized to the next beat or bar (of the master BPM) counted from the transport's origin.
+function getTransportStartTime() {
+    return engine.getTransportStartTime(getQuantizeSeconds());
+}
+
+// Length of one quantize step in seconds, or null when quantizing is off or no master BPM is set
+function getQuantizeSeconds() {
+    const mode = quantizeSelect.value;
+    const bpm = parseFloat(masterBpmInput.value);
+    if (mode === 'off' || !(bpm > 0)) return null;
+    const beatSeconds = 60 / bpm;
+    return mode === 'bar' ? beatSeconds * BEATS_PER_BAR : beatSeconds;
+}
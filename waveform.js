@@ -0,0 +1,295 @@
+// --- Waveform Editor ---
+// Cached peak data, a zoomable/scrollable view with an overview mini-map, and marker snapping
+// to zero crossings, transients or beats for each track's waveform canvas.
+
+const PEAK_BLOCK_SIZE = 256; // Samples summarised by each cached min/max/RMS entry
+const WAVEFORM_MIN_VIEW_SECONDS = 0.05;
+const WAVEFORM_ZOOM_STEP = 1.25; // View length factor per wheel notch
+const WAVEFORM_MAX_LANES = 2; // Channels beyond the first two are not drawn
+const ZERO_CROSSING_SEARCH_SECONDS = 0.01; // Searched on each side of the dragged time
+const SNAP_DISTANCE_PIXELS = 12; // Transients further than this from the cursor are ignored
+const TRANSIENT_THRESHOLD = 1.5; // Standard deviations above the mean onset strength
+const TRANSIENT_MIN_SPACING = 0.05; // Seconds between accepted transients
+
+// --- Peak Cache ---
+// Min, max and RMS of every PEAK_BLOCK_SIZE samples per channel, computed once per buffer
+function getPeakCache(track) {
+    const buffer = track.buffer;
+    if (track.peakCache?.buffer === buffer) return track.peakCache;
+    const blocks = Math.ceil(buffer.length / PEAK_BLOCK_SIZE);
+    const channels = [];
+    for (let c = 0; c < Math.min(buffer.numberOfChannels, WAVEFORM_MAX_LANES); c++) {
+        const data = buffer.getChannelData(c);
+        const min = new Float32Array(blocks);
+        const max = new Float32Array(blocks);
+        const rms = new Float32Array(blocks);
+        for (let b = 0; b < blocks; b++) {
+            const start = b * PEAK_BLOCK_SIZE;
+            const end = Math.min(data.length, start + PEAK_BLOCK_SIZE);
+            let blockMin = 1;
+            let blockMax = -1;
+            let sumSquares = 0;
+            for (let i = start; i < end; i++) {
+                const datum = data[i];
+                if (datum < blockMin) blockMin = datum;
+                if (datum > blockMax) blockMax = datum;
+                sumSquares += datum * datum;
+            }
+            min[b] = blockMin;
+            max[b] = blockMax;
+            rms[b] = Math.sqrt(sumSquares / Math.max(1, end - start));
+        }
+        channels.push({ data, min, max, rms });
+    }
+    track.peakCache = { buffer, channels };
+    return track.peakCache;
+}
+
+// Min/max/RMS of one channel over [startSample, endSample), from the cache when the span covers whole blocks
+function getPeakRange(channel, startSample, endSample) {
+    let min = 1;
+    let max = -1;
+    let sumSquares = 0;
+    let count = 0;
+    if (endSample - startSample >= PEAK_BLOCK_SIZE) {
+        const firstBlock = Math.floor(startSample / PEAK_BLOCK_SIZE);
+        const lastBlock = Math.min(channel.min.length, Math.ceil(endSample / PEAK_BLOCK_SIZE));
+        for (let b = firstBlock; b < lastBlock; b++) {
+            if (channel.min[b] < min) min = channel.min[b];
+            if (channel.max[b] > max) max = channel.max[b];
+            sumSquares += channel.rms[b] * channel.rms[b];
+            count++;
+        }
+    } else {
+        for (let i = startSample; i < endSample && i < channel.data.length; i++) {
+            const datum = channel.data[i];
+            if (datum < min) min = datum;
+            if (datum > max) max = datum;
+            sumSquares += datum * datum;
+            count++;
+        }
+    }
+    if (count === 0) return null;
+    return { min, max, rms: Math.sqrt(sumSquares / count) };
+}
+
+// Draws [viewStart, viewStart + viewDuration) of the track onto an offscreen canvas: one lane per
+// channel, min/max peaks with the RMS level on top
+function renderWaveformImage(track, viewStart, viewDuration, width, height) {
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+    const ctx = image.getContext('2d');
+    const { channels } = getPeakCache(track);
+    const sampleRate = track.buffer.sampleRate;
+    const laneHeight = height / channels.length;
+    const samplesPerPixel = (viewDuration * sampleRate) / width;
+    const firstSample = viewStart * sampleRate;
+
+    channels.forEach((channel, lane) => {
+        const amp = laneHeight / 2;
+        const center = lane * laneHeight + amp;
+        for (let x = 0; x < width; x++) {
+            const startSample = Math.floor(firstSample + x * samplesPerPixel);
+            const endSample = Math.max(startSample + 1, Math.floor(firstSample + (x + 1) * samplesPerPixel));
+            const peak = getPeakRange(channel, startSample, endSample);
+            if (!peak) break;
+            const yMax = center - peak.max * amp;
+            const yMin = center - peak.min * amp;
+            ctx.fillStyle = '#61dafb';
+            ctx.fillRect(x, yMax, 1, Math.max(1, yMin - yMax));
+            ctx.fillStyle = '#b8efff';
+            ctx.fillRect(x, center - peak.rms * amp, 1, Math.max(1, 2 * peak.rms * amp));
+        }
+        if (lane > 0) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.fillRect(0, lane * laneHeight, width, 1);
+        }
+    });
+    return image;
+}
+
+// --- View (Zoom and Scroll) ---
+// The visible window in seconds; resets to the whole buffer whenever the buffer changes
+function getWaveformView(track) {
+    if (track.waveformView?.buffer !== track.buffer) {
+        track.waveformView = { buffer: track.buffer, start: 0, duration: track.buffer?.duration || 0, wasPlayheadVisible: true };
+    }
+    return track.waveformView;
+}
+
+function setWaveformView(trackId, start, duration) {
+    const track = tracks[trackId];
+    if (!track?.buffer) return;
+    const view = getWaveformView(track);
+    const total = track.buffer.duration;
+    view.duration = Math.max(Math.min(WAVEFORM_MIN_VIEW_SECONDS, total), Math.min(total, duration));
+    view.start = Math.max(0, Math.min(total - view.duration, start));
+    drawWaveform(trackId);
+}
+
+function zoomWaveform(trackId, factor, anchorTime) {
+    const view = getWaveformView(tracks[trackId]);
+    const duration = view.duration * factor;
+    const anchor = anchorTime ?? view.start + view.duration / 2;
+    // Keep the anchor under the same pixel
+    setWaveformView(trackId, anchor - (anchor - view.start) * (duration / view.duration), duration);
+}
+
+function timeToWaveformX(track, time) {
+    const view = getWaveformView(track);
+    return ((time - view.start) / view.duration) * track.canvas.width;
+}
+
+function waveformXToTime(track, x) {
+    const view = getWaveformView(track);
+    const clampedX = Math.max(0, Math.min(track.canvas.width, x));
+    return view.start + (clampedX / track.canvas.width) * view.duration;
+}
+
+// Pages the view along with the playhead, unless the user has scrolled it out of sight
+function followPlayhead(track, position) {
+    const view = getWaveformView(track);
+    const visible = position >= view.start && position <= view.start + view.duration;
+    if (track.isPlaying && !track.isDragging && !visible && view.wasPlayheadVisible) {
+        view.start = Math.max(0, Math.min(track.buffer.duration - view.duration, position));
+        view.wasPlayheadVisible = true;
+        return;
+    }
+    view.wasPlayheadVisible = visible;
+}
+
+function handleWaveformWheel(event, trackId) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded || !track.buffer) return;
+    event.preventDefault();
+    const view = getWaveformView(track);
+    const horizontal = event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY);
+    if (horizontal) {
+        const delta = event.shiftKey ? event.deltaY : event.deltaX;
+        setWaveformView(trackId, view.start + (delta / track.canvas.width) * view.duration, view.duration);
+    } else {
+        const anchor = waveformXToTime(track, getMousePos(track.canvas, event).x);
+        zoomWaveform(trackId, event.deltaY > 0 ? WAVEFORM_ZOOM_STEP : 1 / WAVEFORM_ZOOM_STEP, anchor);
+    }
+}
+
+// --- Overview Mini-Map ---
+function drawWaveformOverview(trackId) {
+    const track = tracks[trackId];
+    const canvas = track?.overviewCanvas;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.fillStyle = '#282c34';
+    ctx.fillRect(0, 0, width, height);
+    if (!track.isLoaded || !track.buffer || track.buffer.duration <= 0) return;
+
+    const duration = track.buffer.duration;
+    if (track.overviewCache?.buffer !== track.buffer || track.overviewCache.image.width !== width
+        || track.overviewCache.image.height !== height) {
+        track.overviewCache = { buffer: track.buffer, image: renderWaveformImage(track, 0, duration, width, height) };
+    }
+    ctx.drawImage(track.overviewCache.image, 0, 0);
+
+    const view = getWaveformView(track);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+    ctx.lineWidth = 1;
+    const viewX = (view.start / duration) * width;
+    const viewWidth = Math.max(2, (view.duration / duration) * width);
+    ctx.fillRect(viewX, 0, viewWidth, height);
+    ctx.strokeRect(viewX + 0.5, 0.5, viewWidth - 1, height - 1);
+    const playheadX = (track.getPosition() / duration) * width;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect(playheadX, 0, 1, height);
+}
+
+// Clicking or dragging on the mini-map centres the view on that time
+function handleOverviewMouse(event, trackId) {
+    const track = tracks[trackId];
+    if (!track?.isLoaded || !track.buffer) return;
+    if (event.type === 'mousemove' && !(event.buttons & 1)) return;
+    const pos = getMousePos(track.overviewCanvas, event);
+    const time = (Math.max(0, Math.min(track.overviewCanvas.width, pos.x)) / track.overviewCanvas.width) * track.buffer.duration;
+    const view = getWaveformView(track);
+    setWaveformView(trackId, time - view.duration / 2, view.duration);
+    event.preventDefault();
+}
+
+// --- Marker Snapping ---
+// Holding Alt while dragging places the marker freely, as on the arrangement timeline
+function snapMarkerTime(track, time, freePlacement = false) {
+    const mode = track.snapModeSelect?.value || 'off';
+    if (freePlacement || mode === 'off') return time;
+    if (mode === 'zero') return findNearestZeroCrossing(track.buffer, time);
+    if (mode === 'beat') return snapToBeat(track, time);
+    if (mode === 'transient') {
+        const maxDistance = (SNAP_DISTANCE_PIXELS / track.canvas.width) * getWaveformView(track).duration;
+        const nearest = findNearestTime(getTrackTransients(track), time);
+        return nearest !== null && Math.abs(nearest - time) <= maxDistance ? nearest : time;
+    }
+    return time;
+}
+
+// Nearest sign change of the channel sum within the search window, so loop points don't click
+function findNearestZeroCrossing(buffer, time) {
+    const sampleRate = buffer.sampleRate;
+    const center = Math.round(time * sampleRate);
+    const radius = Math.round(ZERO_CROSSING_SEARCH_SECONDS * sampleRate);
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+    const sampleAt = (i) => channels.reduce((sum, data) => sum + data[i], 0);
+    for (let distance = 0; distance <= radius; distance++) {
+        for (const i of [center - distance, center + distance]) {
+            if (i <= 0 || i >= buffer.length) continue;
+            const previous = sampleAt(i - 1);
+            const current = sampleAt(i);
+            if (current === 0 || (previous < 0) !== (current < 0)) return i / sampleRate;
+        }
+    }
+    return time;
+}
+
+function snapToBeat(track, time) {
+    const beatSeconds = getBeatSeconds(track);
+    if (!beatSeconds) return time;
+    const beat = Math.round((time - track.downbeatOffset) / beatSeconds);
+    return Math.max(0, Math.min(track.buffer.duration, getBeatTime(track, beat)));
+}
+
+// Peaks of the onset envelope, computed once per buffer
+function getTrackTransients(track) {
+    if (track.transientCache?.buffer === track.buffer) return track.transientCache.times;
+    const { envelope, hopSeconds } = computeOnsetEnvelope(track.buffer, Infinity);
+    let mean = 0;
+    for (let i = 0; i < envelope.length; i++) mean += envelope[i] / envelope.length;
+    let variance = 0;
+    for (let i = 0; i < envelope.length; i++) variance += (envelope[i] - mean) ** 2 / envelope.length;
+    const threshold = mean + TRANSIENT_THRESHOLD * Math.sqrt(variance);
+
+    const times = [];
+    for (let i = 1; i < envelope.length - 1; i++) {
+        if (envelope[i] < threshold || envelope[i] < envelope[i - 1] || envelope[i] < envelope[i + 1]) continue;
+        // Frame i starts at i * hop; the onset is placed at the frame's centre
+        const time = i * hopSeconds + ONSET_FRAME_SIZE / track.buffer.sampleRate / 2;
+        if (times.length === 0 || time - times[times.length - 1] >= TRANSIENT_MIN_SPACING) times.push(time);
+    }
+    track.transientCache = { buffer: track.buffer, times };
+    return times;
+}
+
+// Binary search over an ascending list of times
+function findNearestTime(times, time) {
+    if (times.length === 0) return null;
+    let low = 0;
+    let high = times.length - 1;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] < time) low = mid + 1;
+        else high = mid;
+    }
+    const before = times[Math.max(0, low - 1)];
+    return Math.abs(before - time) < Math.abs(times[low] - time) ? before : times[low];
+}